@@ -1,11 +1,18 @@
 /**
- * Instagram Reel Slider - Background Service Worker
+ * Instagram Reel Slider - Background Script
  * Handles keyboard shortcuts and forwards commands to content script.
+ * Runs as a service worker in Chrome and as an event page in Firefox.
  */
 
-chrome.commands.onCommand.addListener((command) => {
-  // Get the active tab in the current window
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+// Firefox loads the compatibility layer from the manifest; a Chrome service worker imports it
+if (typeof importScripts === 'function') {
+  importScripts('../common/browser.js');
+}
+
+ext.commands.onCommand.addListener((command) => {
+  // Get the active tab in the current window. Pressing a shortcut grants
+  // activeTab, which is what exposes tab.url in Firefox without the tabs permission.
+  queryTabs({ active: true, currentWindow: true }).then((tabs) => {
     if (!tabs || tabs.length === 0) return;
 
     const tab = tabs[0];
@@ -15,9 +22,8 @@ chrome.commands.onCommand.addListener((command) => {
       return;
     }
 
-    // Forward the command to the content script
-    chrome.tabs.sendMessage(tab.id, { action: 'command', command }, () => {
-      // Ignore errors - content script may not be loaded yet
-    });
+    // Forward the command to the content script. Failures are ignored -
+    // the content script may not be loaded yet
+    sendTabMessage(tab.id, { action: 'command', command });
   });
 });
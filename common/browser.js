@@ -0,0 +1,58 @@
+/**
+ * Instagram Reel Slider - Browser API Compatibility
+ * Firefox provides the promise-based `browser` namespace; Chrome provides
+ * `chrome`, whose MV3 APIs also return promises when called without a callback.
+ * Loaded by the background script, the content script and the extension pages.
+ */
+
+const ext = typeof browser !== 'undefined' && browser.runtime ? browser : chrome;
+
+/**
+ * Runs an extension API call and resolves to its result, or to `fallback` if
+ * it fails. Chrome throws synchronously once the extension context has been
+ * invalidated (e.g., after an update), so that is caught too.
+ */
+function callExt(fn, fallback) {
+  try {
+    return Promise.resolve(fn()).catch(() => fallback);
+  } catch (e) {
+    return Promise.resolve(fallback);
+  }
+}
+
+/**
+ * Reads from a storage area ('sync' or 'local'). Resolves to null if storage
+ * is unavailable, so callers can tell a failed read from an empty one.
+ */
+function storageGet(area, keys) {
+  return callExt(() => ext.storage[area].get(keys), null);
+}
+
+/**
+ * Writes to a storage area. Resolves to whether the write succeeded.
+ */
+function storageSet(area, items) {
+  return callExt(() => ext.storage[area].set(items).then(() => true), false);
+}
+
+/**
+ * Removes keys from a storage area. Resolves to whether the removal succeeded.
+ */
+function storageRemove(area, keys) {
+  return callExt(() => ext.storage[area].remove(keys).then(() => true), false);
+}
+
+/**
+ * Returns the tabs matching a query, or an empty list if the query fails.
+ */
+function queryTabs(query) {
+  return callExt(() => ext.tabs.query(query), []);
+}
+
+/**
+ * Sends a message to the content script in a tab. Resolves to the response,
+ * or null if nothing is listening there (e.g., the page is still loading).
+ */
+function sendTabMessage(tabId, message) {
+  return callExt(() => ext.tabs.sendMessage(tabId, message), null);
+}
@@ -0,0 +1,15 @@
+/**
+ * Instagram Reel Slider - Shared Formatting Helpers
+ * Loaded by both the content script and the toolbar popup.
+ */
+
+/**
+ * Formats seconds as m:ss, or h:mm:ss for videos an hour or longer.
+ */
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
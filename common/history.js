@@ -0,0 +1,19 @@
+/**
+ * Instagram Reel Slider - Shared Watch History
+ * Storage format for the local watch history kept in chrome.storage.local.
+ * Loaded by both the content script and the history page.
+ */
+
+const WATCH_HISTORY_KEY = 'watchHistory';
+
+// Oldest entries are dropped beyond this many
+const MAX_HISTORY_ENTRIES = 1000;
+
+/**
+ * Inserts or updates (by id) a history entry, newest first, within the size cap.
+ * Entry: { id, shortcode, author, duration, watched, speed, timestamp }.
+ */
+function upsertHistoryEntry(list, entry) {
+  const rest = (Array.isArray(list) ? list : []).filter((e) => e && e.id !== entry.id);
+  return [entry].concat(rest).slice(0, MAX_HISTORY_ENTRIES);
+}
@@ -0,0 +1,46 @@
+/**
+ * Instagram Reel Slider - Shared Timeline Markers
+ * Storage format and validation for timeline markers, kept per post shortcode
+ * in chrome.storage.local. Loaded by both the content script and the options page.
+ */
+
+const MARKERS_KEY = 'markers';
+
+// Version of the export file format
+const MARKERS_EXPORT_VERSION = 1;
+
+/**
+ * Returns a clean, time-sorted marker list: [{ time, name }].
+ * Invalid entries and exact duplicates are dropped.
+ */
+function normalizeMarkerList(list) {
+  if (!Array.isArray(list)) return [];
+
+  const seen = new Set();
+  return list
+    .filter((m) => m && isFinite(Number(m.time)) && Number(m.time) >= 0)
+    .map((m) => ({
+      time: Math.round(Number(m.time) * 1000) / 1000,
+      name: typeof m.name === 'string' ? m.name.trim().slice(0, 100) : ''
+    }))
+    .filter((m) => {
+      const key = `${m.time}|${m.name}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Merges imported markers into existing ones: { shortcode: [markers] }.
+ */
+function mergeMarkers(existing, incoming) {
+  const merged = Object.assign({}, existing);
+  Object.keys(incoming || {}).forEach((shortcode) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(shortcode)) return;
+    const list = normalizeMarkerList((merged[shortcode] || []).concat(incoming[shortcode]));
+    if (list.length) merged[shortcode] = list;
+  });
+  return merged;
+}
@@ -0,0 +1,107 @@
+/**
+ * Instagram Reel Slider - Shared Settings
+ * Default values and validation for user settings stored in chrome.storage.sync.
+ * Loaded by both the content script and the options page.
+ */
+
+// Playback speed bounds accepted for user-defined speed steps
+const MIN_PLAYBACK_SPEED = 0.25;
+const MAX_PLAYBACK_SPEED = 4;
+
+// Fallback frame rate bounds, used when the real frame duration cannot be measured
+const MIN_FRAME_RATE = 1;
+const MAX_FRAME_RATE = 240;
+
+// Upper bound for the configurable audio boost cap (gain multiplier)
+const MAX_AUDIO_BOOST = 6;
+
+// What happens to other videos when one starts playing (single-audio policy)
+const SINGLE_AUDIO_MODES = ['off', 'pause', 'mute'];
+
+// Time readout modes next to the slider
+const TIME_DISPLAY_MODES = ['off', 'elapsed', 'remaining'];
+
+const DEFAULT_SETTINGS = {
+  seekStep: 5,
+  wheelSeekStep: 1,
+  volumeStep: 0.1,
+  playbackSpeeds: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2],
+  progressColor: 'rgba(255,255,255,0.85)',
+  trackColor: 'rgba(255,255,255,0.18)',
+  bufferedColor: 'rgba(255,255,255,0.35)',
+  timeDisplay: 'off',
+  frameRate: 30,
+  stickyPlayback: false,
+  resumePlayback: true,
+  resumeMinDuration: 60,
+  autoAdvance: false,
+  autoAdvanceLoops: 1,
+  showOsd: true,
+  maxAudioBoost: 3,
+  gestures: true,
+  singleAudio: 'off',
+  watchHistory: false
+};
+
+/**
+ * Returns a positive number, or the fallback if the value is not one.
+ */
+function toPositiveNumber(value, fallback) {
+  const n = Number(value);
+  return isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Returns the value if it is a boolean, otherwise the fallback.
+ */
+function toBoolean(value, fallback) {
+  return typeof value === 'boolean' ? value : fallback;
+}
+
+/**
+ * Returns the value if it is a valid CSS color, otherwise the fallback.
+ */
+function toColor(value, fallback) {
+  if (typeof value !== 'string' || !value.trim()) return fallback;
+  try {
+    return CSS.supports('color', value) ? value.trim() : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Merges stored values over the defaults and discards anything invalid,
+ * so callers can always rely on a complete, well-formed settings object.
+ */
+function normalizeSettings(raw) {
+  const input = raw || {};
+  const speeds = Array.isArray(input.playbackSpeeds)
+    ? input.playbackSpeeds
+        .map(Number)
+        .filter((n) => isFinite(n) && n >= MIN_PLAYBACK_SPEED && n <= MAX_PLAYBACK_SPEED)
+    : [];
+  const uniqueSpeeds = Array.from(new Set(speeds)).sort((a, b) => a - b);
+
+  return {
+    seekStep: toPositiveNumber(input.seekStep, DEFAULT_SETTINGS.seekStep),
+    wheelSeekStep: toPositiveNumber(input.wheelSeekStep, DEFAULT_SETTINGS.wheelSeekStep),
+    volumeStep: Math.min(1, toPositiveNumber(input.volumeStep, DEFAULT_SETTINGS.volumeStep)),
+    playbackSpeeds: uniqueSpeeds.length ? uniqueSpeeds : DEFAULT_SETTINGS.playbackSpeeds.slice(),
+    progressColor: toColor(input.progressColor, DEFAULT_SETTINGS.progressColor),
+    trackColor: toColor(input.trackColor, DEFAULT_SETTINGS.trackColor),
+    bufferedColor: toColor(input.bufferedColor, DEFAULT_SETTINGS.bufferedColor),
+    timeDisplay: TIME_DISPLAY_MODES.includes(input.timeDisplay) ? input.timeDisplay : DEFAULT_SETTINGS.timeDisplay,
+    frameRate: Math.max(MIN_FRAME_RATE, Math.min(MAX_FRAME_RATE, toPositiveNumber(input.frameRate, DEFAULT_SETTINGS.frameRate))),
+    stickyPlayback: toBoolean(input.stickyPlayback, DEFAULT_SETTINGS.stickyPlayback),
+    resumePlayback: toBoolean(input.resumePlayback, DEFAULT_SETTINGS.resumePlayback),
+    resumeMinDuration: toPositiveNumber(input.resumeMinDuration, DEFAULT_SETTINGS.resumeMinDuration),
+    autoAdvance: toBoolean(input.autoAdvance, DEFAULT_SETTINGS.autoAdvance),
+    autoAdvanceLoops: Math.max(1, Math.round(toPositiveNumber(input.autoAdvanceLoops, DEFAULT_SETTINGS.autoAdvanceLoops))),
+    showOsd: toBoolean(input.showOsd, DEFAULT_SETTINGS.showOsd),
+    maxAudioBoost: Math.max(1, Math.min(MAX_AUDIO_BOOST, toPositiveNumber(input.maxAudioBoost, DEFAULT_SETTINGS.maxAudioBoost))),
+    gestures: toBoolean(input.gestures, DEFAULT_SETTINGS.gestures),
+    singleAudio: SINGLE_AUDIO_MODES.includes(input.singleAudio) ? input.singleAudio : DEFAULT_SETTINGS.singleAudio,
+    watchHistory: toBoolean(input.watchHistory, DEFAULT_SETTINGS.watchHistory)
+  };
+}
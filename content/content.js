@@ -5,34 +5,262 @@
 
 // State tracking for enhanced videos and cleanup
 const enhanced = new WeakSet();
-const cleanupMap = new WeakMap();
 
-// Playback speed options (0.25x to 2x)
-const PLAYBACK_SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+// Registry of enhanced videos: video -> { parent, container, cleanup, refresh }.
+// Entries are removed by each video's cleanup; pruneRegistry() catches videos
+// that were detached without the MutationObserver seeing them go.
+const registry = new Map();
+
+// Sliders currently being dragged by the user
+const scrubbing = new WeakSet();
+
+// A-B loop ranges per video: { start, end } in seconds (end may be null)
+const loopMap = new WeakMap();
+
+// Measured frame durations per video (seconds), from requestVideoFrameCallback
+const frameDurationMap = new WeakMap();
+
+// Number of frame intervals sampled before a frame duration is trusted
+const FRAME_SAMPLE_COUNT = 10;
+
+// User settings (see common/settings.js), kept in sync with chrome.storage.sync
+let settings = normalizeSettings(DEFAULT_SETTINGS);
+
+// Last speed and volume chosen by the user, kept in chrome.storage.local
+// and applied to every new video while sticky playback is enabled
+const STICKY_PLAYBACK_KEY = 'stickyPlayback';
+let stickyPlayback = { playbackRate: null, volume: null };
+
+// Tolerance when comparing playback rates, and the fine speed adjustment step
+const SPEED_EPSILON = 0.001;
+const FINE_SPEED_STEP = 0.05;
+
+// How long after mount (or a new source) Instagram's own resets are undone
+const STICKY_GUARD_MS = 3000;
+
+// Resume positions per post/reel shortcode, kept in chrome.storage.local
+const RESUME_POSITIONS_KEY = 'resumePositions';
+const MAX_RESUME_ENTRIES = 200;
+// Positions this close to the start or end (seconds) are not worth resuming
+const RESUME_MARGIN = 5;
+const RESUME_SAVE_INTERVAL_MS = 5000;
+const RESUME_PROMPT_MS = 6000;
+
+// Stories stay held this long after the last wheel or keyboard seek
+const STORY_SEEK_HOLD_MS = 600;
+
+// Auto-advance: a jump from within LOOP_END_WINDOW of the end to within
+// LOOP_START_WINDOW of the start is taken as Instagram's native loop restart.
+// Both are seconds at 1x and scale with the playback rate, since timeupdate
+// fires at a fixed interval and so covers more media time at higher speeds.
+const LOOP_END_WINDOW = 1;
+const LOOP_START_WINDOW = 1;
+// Instagram's loop restart is a seek too. A seek within this long after user
+// input (or a command) is taken as the user's, e.g. rewatching from 0:00.
+const USER_SEEK_WINDOW_MS = 1000;
+let lastUserInput = 0;
+// Speed/volume carried over to the next reel when it is mounted after advancing
+const CARRY_PLAYBACK_MS = 5000;
+let pendingCarry = null;
+
+// Shared AudioContext for every processed video, created on first use
+let audioContext = null;
+// Web Audio node chains per video: { source, compressor, gain, mono }.
+// Once a video is routed through the context it cannot be un-routed, so the
+// chain stays until the video is cleaned up and is made neutral instead.
+const audioMap = new WeakMap();
+// Media element sources per video. An element can only ever get one, so it
+// is kept for a video that is cleaned up and enhanced again.
+const audioSources = new WeakMap();
+// Audio processing applied to the active video (boost is a gain multiplier)
+const audioState = { boost: 1, normalize: false, mono: false };
+const AUDIO_BOOST_STEP = 0.25;
+
+// Wheel delta (in pixels) that counts as one step when scrolling over the slider
+const WHEEL_NOTCH = 50;
+const WHEEL_LINE_HEIGHT = 40;
+
+// Touch/pen gestures on the video surface
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_DISTANCE = 40;
+const TAP_MAX_MS = 300;
+const DRAG_THRESHOLD = 15;
+// Volume drags must start with a short hold, so quick swipes stay Instagram's
+const VOLUME_HOLD_MS = 250;
+// Fraction of the video width on each side that counts as the left/right zone
+const GESTURE_SIDE_ZONE = 1 / 3;
+
+// Watch history: sessions shorter than this (seconds watched) are not logged
+const MIN_WATCHED_SECONDS = 1;
+// A currentTime jump larger than this (seconds) is a seek, not playback
+const MAX_PLAYBACK_JUMP = 1.5;
+
+// Timeline markers per video: { shortcode, list } (see common/markers.js)
+const markerMap = new WeakMap();
+// How close (as a fraction of the track) the pointer must be to show a marker name
+const MARKER_HOVER_RATIO = 0.01;
+
+// ---- Active Video Tracking ----
+
+// Enhanced videos watched by the visibility observer, and their visible ratio (0-1)
+const trackedVideos = new Set();
+const visibleRatios = new WeakMap();
+
+// Current choice of active video, and the last video the user interacted with
+let activeVideo = null;
+let lastInteractedVideo = null;
+
+// Video claimed by the single-audio policy: it stays the active video while
+// any part of it is visible
+let pinnedVideo = null;
+
+// Callbacks run with (newVideo, oldVideo) whenever the active video changes
+const activeVideoListeners = new Set();
+
+// Score bonuses added to the visible ratio when picking the active video
+const PLAYING_BONUS = 0.5;
+const INTERACTION_BONUS = 0.3;
+
+const visibilityObserver = new IntersectionObserver(
+  (entries) => {
+    entries.forEach((entry) => {
+      visibleRatios.set(entry.target, entry.isIntersecting ? entry.intersectionRatio : 0);
+    });
+    updateActiveVideo();
+  },
+  { threshold: [0, 0.25, 0.5, 0.75, 1] }
+);
 
 /**
- * Gets the most visible/active video element on the page.
- * Prioritizes videos that are in viewport and playing.
+ * Re-picks the active video from the tracked videos: the most visible one,
+ * favouring a playing video and the one the user last interacted with.
  */
-function getActiveVideo() {
-  const videos = Array.from(document.querySelectorAll('video'));
-  if (videos.length === 0) return null;
-  if (videos.length === 1) return videos[0];
+function updateActiveVideo() {
+  let best = null;
+  let bestScore = 0;
 
-  // Find video in viewport
-  for (const video of videos) {
-    const rect = video.getBoundingClientRect();
-    const isInViewport =
-      rect.top >= -rect.height &&
-      rect.left >= -rect.width &&
-      rect.bottom <= window.innerHeight + rect.height &&
-      rect.right <= window.innerWidth + rect.width;
+  if (pinnedVideo && (!pinnedVideo.isConnected || !(visibleRatios.get(pinnedVideo) > 0))) {
+    pinnedVideo = null;
+  }
+
+  trackedVideos.forEach((video) => {
+    const ratio = visibleRatios.get(video) || 0;
+    if (ratio <= 0 || !video.isConnected) return;
+
+    let score = ratio;
+    if (!video.paused) score += PLAYING_BONUS;
+    if (video === lastInteractedVideo) score += INTERACTION_BONUS;
+    if (score > bestScore) {
+      best = video;
+      bestScore = score;
+    }
+  });
+
+  if (pinnedVideo) best = pinnedVideo;
+
+  const previous = activeVideo;
+  activeVideo = best;
+  if (best !== previous) {
+    activeVideoListeners.forEach((fn) => {
+      try {
+        fn(best, previous);
+      } catch (e) {
+        // A failing listener shouldn't break the others
+      }
+    });
+  }
+}
+
+/**
+ * Registers a callback run with (newVideo, oldVideo) when the active video changes.
+ */
+function onActiveVideoChange(fn) {
+  activeVideoListeners.add(fn);
+}
+
+// Videos muted by the single-audio policy (rather than by the user), which
+// get their sound back when they claim the audio themselves
+const policyMuted = new WeakSet();
 
-    if (isInViewport && rect.width > 100 && rect.height > 100) {
-      return video;
+/**
+ * Applies the single-audio policy for a video that just started playing or
+ * was interacted with: pauses or mutes every other enhanced video and makes
+ * this one the target for commands.
+ */
+function claimAudio(video) {
+  if (settings.singleAudio === 'off') return;
+
+  pinnedVideo = video;
+  if (policyMuted.has(video)) {
+    policyMuted.delete(video);
+    video.muted = false;
+  }
+  registry.forEach((entry, other) => {
+    if (other === video) return;
+    if (settings.singleAudio === 'pause' && !other.paused) {
+      other.pause();
+    } else if (settings.singleAudio === 'mute' && !other.muted) {
+      other.muted = true;
+      policyMuted.add(other);
     }
+  });
+}
+
+/**
+ * Starts tracking an enhanced video for active video selection.
+ * Returns a function that stops tracking it.
+ */
+function trackVideo(video, parent) {
+  function onStateChange() {
+    updateActiveVideo();
+  }
+
+  function onPlay() {
+    claimAudio(video);
+    updateActiveVideo();
+  }
+
+  function onInteract() {
+    lastInteractedVideo = video;
+    claimAudio(video);
+    updateActiveVideo();
   }
 
+  trackedVideos.add(video);
+  visibilityObserver.observe(video);
+  video.addEventListener('play', onPlay);
+  video.addEventListener('pause', onStateChange);
+  parent.addEventListener('pointerdown', onInteract, { capture: true, passive: true });
+  parent.addEventListener('focusin', onInteract);
+
+  return () => {
+    video.removeEventListener('play', onPlay);
+    video.removeEventListener('pause', onStateChange);
+    parent.removeEventListener('pointerdown', onInteract, { capture: true, passive: true });
+    parent.removeEventListener('focusin', onInteract);
+    visibilityObserver.unobserve(video);
+    visibleRatios.delete(video);
+    trackedVideos.delete(video);
+    if (lastInteractedVideo === video) lastInteractedVideo = null;
+    if (pinnedVideo === video) pinnedVideo = null;
+    if (activeVideo === video) updateActiveVideo();
+  };
+}
+
+/**
+ * Gets the active video element: the tracker's current choice,
+ * falling back to the largest video on the page if none is tracked yet.
+ */
+function getActiveVideo() {
+  if (activeVideo && activeVideo.isConnected) return activeVideo;
+
+  updateActiveVideo();
+  if (activeVideo) return activeVideo;
+
+  const videos = Array.from(document.querySelectorAll('video'));
+  if (videos.length === 0) return null;
+  if (videos.length === 1) return videos[0];
+
   // Fallback to largest video
   return videos.reduce((largest, video) => {
     const rect = video.getBoundingClientRect();
@@ -43,6 +271,8 @@ function getActiveVideo() {
   }, videos[0]);
 }
 
+// ---- Slider ----
+
 /**
  * Finds a suitable parent element to attach the slider container.
  * Prefers positioned ancestors for proper absolute positioning.
@@ -61,7 +291,33 @@ function findAttachmentParent(video) {
 }
 
 /**
- * Updates the slider's visual progress based on video currentTime.
+ * Builds a gradient layer drawing the video's buffered ranges,
+ * transparent everywhere else.
+ */
+function bufferedGradient(video, dur) {
+  const stops = [];
+  const ranges = video.buffered;
+  try {
+    for (let i = 0; i < ranges.length; i++) {
+      const start = Math.max(0, Math.min(100, (ranges.start(i) / dur) * 100));
+      const end = Math.max(0, Math.min(100, (ranges.end(i) / dur) * 100));
+      stops.push(
+        `transparent ${start}%`,
+        `var(--irs-buffered-color) ${start}%`,
+        `var(--irs-buffered-color) ${end}%`,
+        `transparent ${end}%`
+      );
+    }
+  } catch (e) {
+    // Ranges may change while being read; draw what we have
+  }
+  if (!stops.length) return 'linear-gradient(transparent, transparent)';
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+/**
+ * Updates the slider's visual progress based on video currentTime,
+ * with buffered ranges drawn between the played part and the track.
  */
 function updateProgress(video, slider) {
   if (!video || !slider) return;
@@ -71,288 +327,1958 @@ function updateProgress(video, slider) {
 
   if (!isNaN(dur) && dur > 0) {
     const pct = Math.max(0, Math.min(100, (cur / dur) * 100));
-    slider.style.background = `linear-gradient(to right, rgba(255,255,255,0.85) ${pct}%, rgba(255,255,255,0.18) ${pct}%)`;
+    slider.style.background = [
+      `linear-gradient(to right, var(--irs-progress-color) ${pct}%, transparent ${pct}%)`,
+      bufferedGradient(video, dur),
+      'var(--irs-track-color)'
+    ].join(', ');
 
     // Keep slider value synced (avoid clobbering while user is scrubbing)
-    if (document.activeElement !== slider) {
+    if (!scrubbing.has(slider)) {
       slider.value = cur;
     }
     slider.max = dur;
+    slider.setAttribute('aria-valuetext', `${describeTime(cur)} of ${describeTime(dur)}`);
   } else {
-    slider.style.background = 'linear-gradient(to right, rgba(255,255,255,0.85) 0%, rgba(255,255,255,0.18) 0%)';
+    slider.style.background = 'linear-gradient(to right, var(--irs-progress-color) 0%, var(--irs-track-color) 0%)';
+    slider.setAttribute('aria-valuetext', 'Loading');
   }
 }
 
 /**
- * Creates and attaches the slider controls to a video element.
- * Idempotent - safe to call multiple times on the same video.
+ * Draws the A-B loop range as a band over the slider track.
+ * With only point A set, a thin marker is shown at A.
  */
-function createControls(video) {
-  if (!video || !(video instanceof HTMLVideoElement)) return;
-  if (enhanced.has(video)) return;
-
-  const parent = findAttachmentParent(video);
-  if (!parent) return;
+function updateLoopRange(video, band) {
+  if (!video || !band) return;
 
-  // Check for existing container to avoid duplicates
-  const existing = parent.querySelector('.custom-seek-container');
-  if (existing) {
-    const linked = existing.dataset && existing.dataset.forVideo === (video.dataset && video.dataset.customId);
-    if (linked) {
-      enhanced.add(video);
-      return;
-    }
+  const loop = loopMap.get(video);
+  const dur = Number(video.duration);
+  if (!loop || isNaN(dur) || dur <= 0) {
+    band.hidden = true;
+    return;
   }
 
-  // Create DOM elements
-  const container = document.createElement('div');
-  container.className = 'custom-seek-container';
-  container.setAttribute('aria-hidden', 'true');
+  const start = Math.max(0, Math.min(100, (loop.start / dur) * 100));
+  const end = loop.end == null ? start : Math.max(start, Math.min(100, (loop.end / dur) * 100));
+  band.style.left = `${start}%`;
+  band.style.width = loop.end == null ? '2px' : `${end - start}%`;
+  band.hidden = false;
+}
 
-  const slider = document.createElement('input');
-  slider.type = 'range';
-  slider.className = 'custom-slider';
-  slider.min = 0;
-  slider.step = 0.01;
-  slider.value = 0;
+/**
+ * Keeps playback inside the A-B loop range, if one is set.
+ * Also catches Instagram's native loop restarting the video at 0.
+ */
+function enforceLoop(video) {
+  const loop = loopMap.get(video);
+  if (!loop || loop.end == null) return;
 
-  // Prevent clicks from propagating to Instagram's handlers
-  function stopProp(e) {
-    e.stopPropagation();
+  const cur = Number(video.currentTime);
+  if (cur >= loop.end || cur < loop.start - 0.25) {
+    try {
+      video.currentTime = loop.start;
+    } catch (e) {
+      // Ignore DOM exceptions (e.g., if video is not seekable)
+    }
   }
-  container.addEventListener('click', stopProp, { capture: true });
-  container.addEventListener('mousedown', stopProp, { capture: true });
-  slider.addEventListener('click', stopProp, { capture: true });
+}
 
-  // Named handlers for proper cleanup
-  function onTimeUpdate() {
-    updateProgress(video, slider);
+/**
+ * Measures a video's real frame duration with requestVideoFrameCallback.
+ * Samples a few consecutive frames while the video plays, stores the median
+ * interval in frameDurationMap and stops. Returns a function that cancels
+ * any pending callback.
+ */
+function measureFrameDuration(video) {
+  if (typeof video.requestVideoFrameCallback !== 'function') {
+    return () => {};
   }
 
-  function onLoadedMetadata() {
-    if (!isNaN(video.duration)) {
-      slider.max = video.duration;
-    }
-    updateProgress(video, slider);
-  }
+  const samples = [];
+  let last = null;
+  let handle = null;
 
-  function onSeeked() {
-    updateProgress(video, slider);
-  }
+  function onFrame(now, metadata) {
+    handle = null;
+    if (last && metadata.presentedFrames > last.presentedFrames) {
+      const delta = (metadata.mediaTime - last.mediaTime) / (metadata.presentedFrames - last.presentedFrames);
+      if (delta > 0 && delta < 1) samples.push(delta);
+    }
+    last = metadata;
 
-  function onSliderInput() {
-    const t = parseFloat(slider.value);
-    if (!isNaN(t)) {
-      try {
-        video.currentTime = t;
-        updateProgress(video, slider);
-      } catch (err) {
-        // Ignore DOM exceptions (e.g., if video is not seekable)
-      }
+    if (samples.length >= FRAME_SAMPLE_COUNT) {
+      samples.sort((a, b) => a - b);
+      frameDurationMap.set(video, samples[Math.floor(samples.length / 2)]);
+      return;
     }
+    handle = video.requestVideoFrameCallback(onFrame);
   }
 
-  // Attach listeners
-  video.addEventListener('timeupdate', onTimeUpdate);
-  video.addEventListener('loadedmetadata', onLoadedMetadata);
-  video.addEventListener('seeked', onSeeked);
-  slider.addEventListener('input', onSliderInput);
-
-  // Insert into DOM
-  parent.appendChild(container);
-  container.appendChild(slider);
-
-  // Sync initial state
-  if (!isNaN(video.duration)) slider.max = video.duration;
-  updateProgress(video, slider);
-
-  // Mark as enhanced
-  enhanced.add(video);
+  handle = video.requestVideoFrameCallback(onFrame);
 
-  // Create cleanup function
-  const cleanup = () => {
-    try {
-      video.removeEventListener('timeupdate', onTimeUpdate);
-      video.removeEventListener('loadedmetadata', onLoadedMetadata);
-      video.removeEventListener('seeked', onSeeked);
-      slider.removeEventListener('input', onSliderInput);
-      container.removeEventListener('click', stopProp, { capture: true });
-      container.removeEventListener('mousedown', stopProp, { capture: true });
-      slider.removeEventListener('click', stopProp, { capture: true });
-    } catch (e) {
-      // Ignore if already removed
+  return () => {
+    if (handle !== null && typeof video.cancelVideoFrameCallback === 'function') {
+      video.cancelVideoFrameCallback(handle);
     }
-    try {
-      if (container.parentElement) {
-        container.parentElement.removeChild(container);
-      }
-    } catch (e) {}
-    try {
-      enhanced.delete(video);
-    } catch (e) {}
-    cleanupMap.delete(video);
+    handle = null;
   };
-
-  cleanupMap.set(video, cleanup);
 }
 
 /**
- * Cleans up all enhancements from a video element.
+ * Returns the frame duration of a video in seconds: the measured value if
+ * available, otherwise derived from the configured fallback frame rate.
  */
-function cleanupVideo(video) {
-  if (!video) return;
-  const fn = cleanupMap.get(video);
-  if (typeof fn === 'function') fn();
+function getFrameDuration(video) {
+  return frameDurationMap.get(video) || 1 / settings.frameRate;
 }
 
-// Initial pass: enhance existing videos
-try {
-  document.querySelectorAll('video').forEach((v) => {
-    try {
-      createControls(v);
-    } catch (e) {
-      // Individual failures shouldn't break the whole script
-    }
-  });
-} catch (e) {
-  // Ignore if querySelectorAll is restricted early
+/**
+ * Describes seconds in words for screen readers, e.g. "1 minute 5 seconds".
+ */
+function describeTime(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const parts = [
+    [Math.floor(total / 3600), 'hour'],
+    [Math.floor((total % 3600) / 60), 'minute'],
+    [total % 60, 'second']
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, unit]) => `${n} ${unit}${n === 1 ? '' : 's'}`);
+  return parts.length ? parts.join(' ') : '0 seconds';
 }
 
-// MutationObserver for dynamic SPA changes
-const observer = new MutationObserver((mutations) => {
-  for (const mutation of mutations) {
-    // Process added nodes
-    if (mutation.addedNodes && mutation.addedNodes.length) {
-      mutation.addedNodes.forEach((node) => {
-        if (!node || node.nodeType !== 1) return;
-        try {
-          if (node.tagName === 'VIDEO') {
-            createControls(node);
-          } else if (node.querySelectorAll) {
-            const vids = node.querySelectorAll('video');
-            if (vids && vids.length) {
-              vids.forEach((v) => createControls(v));
-            }
-          }
-        } catch (e) {
-          // Continue on individual failures
-        }
-      });
-    }
+/**
+ * Updates the elapsed/remaining time readout next to the slider.
+ * Hidden when the time display is turned off or the duration is unknown.
+ */
+function updateTimeReadout(video, readout) {
+  if (!video || !readout) return;
 
-    // Process removed nodes: cleanup
-    if (mutation.removedNodes && mutation.removedNodes.length) {
-      mutation.removedNodes.forEach((node) => {
-        if (!node || node.nodeType !== 1) return;
-        try {
-          if (node.tagName === 'VIDEO') {
-            cleanupVideo(node);
-          } else if (node.querySelectorAll) {
-            const vids = node.querySelectorAll('video');
-            if (vids && vids.length) {
-              vids.forEach((v) => cleanupVideo(v));
-            }
-          }
-        } catch (e) {
-          // Continue on individual failures
-        }
-      });
-    }
+  const dur = Number(video.duration);
+  if (settings.timeDisplay === 'off' || isNaN(dur) || !isFinite(dur) || dur <= 0) {
+    readout.hidden = true;
+    return;
   }
-});
-
-// Start observing body for dynamic SPA changes
-observer.observe(document.body, { childList: true, subtree: true });
 
-// ---- Keyboard Shortcuts ----
+  const cur = Math.min(dur, Number(video.currentTime) || 0);
+  readout.textContent = settings.timeDisplay === 'remaining'
+    ? `-${formatTime(dur - cur)} / ${formatTime(dur)}`
+    : `${formatTime(cur)} / ${formatTime(dur)}`;
+  readout.hidden = false;
+}
 
 /**
- * Toggles play/pause on the active video.
+ * Applies the slider colors as CSS custom properties on the document root,
+ * so every existing slider picks up a change without being redrawn.
  */
-function togglePlayPause() {
-  const video = getActiveVideo();
-  if (!video) return false;
+function applySliderColors() {
+  const root = document.documentElement;
+  if (!root) return;
+  root.style.setProperty('--irs-progress-color', settings.progressColor);
+  root.style.setProperty('--irs-track-color', settings.trackColor);
+  root.style.setProperty('--irs-buffered-color', settings.bufferedColor);
+}
 
-  if (video.paused) {
-    video.play();
-  } else {
-    video.pause();
-  }
-  return true;
+/**
+ * Replaces the active settings and applies anything that is not read lazily.
+ */
+function applySettings(values) {
+  settings = normalizeSettings(values);
+  applySliderColors();
+  registry.forEach((entry) => entry.refresh());
 }
 
 /**
- * Seeks backward by the specified seconds.
+ * Applies the remembered speed and volume to a video, if sticky playback is on.
+ * Sets defaultPlaybackRate too, since loading a new source resets the rate to it.
  */
-function seekBackward(seconds = 5) {
+function applyStickyPlayback(video) {
+  if (!video || !settings.stickyPlayback) return;
+
+  const { playbackRate, volume } = stickyPlayback;
+  try {
+    if (playbackRate != null && video.playbackRate !== playbackRate) {
+      video.defaultPlaybackRate = playbackRate;
+      video.playbackRate = playbackRate;
+    }
+    if (volume != null && video.volume !== volume) {
+      video.volume = volume;
+    }
+  } catch (e) {
+    // Ignore out-of-range values rejected by the media element
+  }
+}
+
+/**
+ * Remembers the speed and volume of a video after a user change,
+ * if sticky playback is on.
+ */
+function rememberPlayback(video) {
+  if (!video || !settings.stickyPlayback) return;
+
+  stickyPlayback = { playbackRate: video.playbackRate, volume: video.volume };
+  storageSet('local', { [STICKY_PLAYBACK_KEY]: stickyPlayback });
+}
+
+/**
+ * Extracts the post/reel shortcode from a pathname such as /reel/<code>/.
+ */
+function getShortcode(pathname = location.pathname) {
+  const match = /\/(?:p|reels?|tv)\/([A-Za-z0-9_-]+)/.exec(pathname || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Returns true on Instagram Stories pages (/stories/<user>/<id>/).
+ */
+function isStoryPage() {
+  return location.pathname.startsWith('/stories/');
+}
+
+/**
+ * Clicks Instagram's story Pause or Play control, found by its icon label.
+ * The labels are Instagram's English ones, so this fails on other locales.
+ * Returns false if the control is not on the page.
+ */
+function clickStoryControl(label) {
+  const icon = document.querySelector(`svg[aria-label="${label}"]`);
+  const control = icon && icon.closest('button, [role="button"]');
+  if (!control) return false;
+  control.click();
+  return true;
+}
+
+/**
+ * Pauses a playing story through Instagram's own control, so its timer stops
+ * with the video and does not auto-advance while the user scrubs. Resuming
+ * the same way makes the timer continue from the video's new position.
+ * Returns a function that resumes the story.
+ */
+function holdStory(video) {
+  if (video.paused) return () => {};
+
+  if (!clickStoryControl('Pause')) {
+    // Pausing just the video leaves Instagram's story timer running
+    showNotice(video, 'Could not find the story pause button, so the story may skip ahead');
+    video.pause();
+    return () => {
+      video.play().catch(() => {});
+    };
+  }
+  return () => {
+    if (clickStoryControl('Play')) return;
+    showNotice(video, 'Could not find the story play button');
+    video.play().catch(() => {});
+  };
+}
+
+/**
+ * Finds the shortcode of the post a video belongs to: from the URL on post
+ * and reel pages, otherwise from a post link near the video (e.g., on the feed).
+ */
+function findShortcode(video) {
+  const fromPath = getShortcode();
+  if (fromPath || !video) return fromPath;
+
+  let el = video.parentElement;
+  while (el && el !== document.body) {
+    const link = el.querySelector('a[href*="/p/"], a[href*="/reel/"]');
+    if (link) return getShortcode(new URL(link.href, location.href).pathname);
+    if (el.tagName === 'ARTICLE') break;
+    el = el.parentElement;
+  }
+  return null;
+}
+
+// Top-level paths that are Instagram sections rather than profiles
+const RESERVED_PATHS = ['explore', 'reels', 'reel', 'p', 'tv', 'stories', 'accounts', 'direct', 'about', 'legal'];
+// How many ancestors of a video are searched for its author's profile link
+const AUTHOR_SEARCH_DEPTH = 10;
+
+/**
+ * Finds the handle of the account that posted a video, from a profile link
+ * near the video, or from the URL on story pages. Returns null if not found.
+ */
+function findAuthorHandle(video) {
+  let el = video && video.parentElement;
+  for (let depth = 0; el && el !== document.body && depth < AUTHOR_SEARCH_DEPTH; depth++) {
+    const links = el.querySelectorAll('a[href^="/"]');
+    for (const link of links) {
+      const match = /^\/([A-Za-z0-9._]+)\/?$/.exec(link.getAttribute('href'));
+      if (match && !RESERVED_PATHS.includes(match[1])) return match[1];
+    }
+    if (el.tagName === 'ARTICLE') break;
+    el = el.parentElement;
+  }
+
+  const story = /^\/stories\/([A-Za-z0-9._]+)\//.exec(location.pathname);
+  return story ? story[1] : null;
+}
+
+// Notices and OSD messages currently shown per video, so a new one replaces the old
+const noticeMap = new WeakMap();
+const NOTICE_MS = 3000;
+const OSD_MS = 1200;
+
+/**
+ * Shows a short-lived message over a video, e.g. to report an error.
+ */
+function showNotice(video, text) {
+  showOverlay(video, text, 'custom-notice', NOTICE_MS);
+}
+
+/**
+ * Shows brief command feedback over a video ("Speed 1.5×"), unless the
+ * on-screen display is turned off.
+ */
+function showOsd(video, text) {
+  if (!settings.showOsd) return;
+  showOverlay(video, text, 'custom-osd', OSD_MS);
+}
+
+/**
+ * Shows a message element of the given class over a video's attachment
+ * parent and removes it after the given time.
+ */
+function showOverlay(video, text, className, duration) {
+  const entry = video && registry.get(video);
+  const parent = entry ? entry.parent : findAttachmentParent(video);
+  if (!parent) return;
+
+  const previous = noticeMap.get(video);
+  if (previous) {
+    clearTimeout(previous.timer);
+    if (previous.el.parentElement) previous.el.parentElement.removeChild(previous.el);
+  }
+
+  const el = document.createElement('div');
+  el.className = className;
+  el.classList.toggle('is-story', isStoryPage());
+  el.setAttribute('role', 'status');
+  el.textContent = text;
+  parent.appendChild(el);
+
+  const timer = setTimeout(() => {
+    if (el.parentElement) el.parentElement.removeChild(el);
+    noticeMap.delete(video);
+  }, duration);
+  noticeMap.set(video, { el, timer });
+}
+
+// Pending read-modify-write per storage key. Updates of one stored value run
+// one after another, since each reads and rewrites the whole value and
+// several videos often save at once (e.g., all cleaned up on navigation).
+const storageWrites = new Map();
+
+/**
+ * Replaces a stored value with update(current value), after any earlier
+ * update of the same key has finished. Returning undefined skips the write.
+ */
+function updateStoredValue(area, key, update) {
+  const next = (storageWrites.get(key) || Promise.resolve())
+    .then(() => storageGet(area, key))
+    .then((items) => {
+      if (!items) return false;
+      const value = update(items[key]);
+      return value === undefined ? false : storageSet(area, { [key]: value });
+    });
+  storageWrites.set(key, next);
+  return next;
+}
+
+/**
+ * Looks up the saved resume position (seconds) for a shortcode.
+ */
+function loadResumePosition(shortcode, callback) {
+  storageGet('local', RESUME_POSITIONS_KEY).then((items) => {
+    const entry = items && (items[RESUME_POSITIONS_KEY] || {})[shortcode];
+    callback(entry ? entry.time : null);
+  });
+}
+
+/**
+ * Saves (or, with a null time, removes) the resume position for a shortcode.
+ * Keeps at most MAX_RESUME_ENTRIES, evicting the least recently updated.
+ */
+function saveResumePosition(shortcode, time) {
+  updateStoredValue('local', RESUME_POSITIONS_KEY, (stored) => {
+    const positions = stored || {};
+
+    if (time == null) {
+      if (!(shortcode in positions)) return undefined;
+      delete positions[shortcode];
+    } else {
+      positions[shortcode] = { time, updated: Date.now() };
+      const keys = Object.keys(positions);
+      if (keys.length > MAX_RESUME_ENTRIES) {
+        keys
+          .sort((a, b) => positions[a].updated - positions[b].updated)
+          .slice(0, keys.length - MAX_RESUME_ENTRIES)
+          .forEach((key) => delete positions[key]);
+      }
+    }
+    return positions;
+  });
+}
+
+/**
+ * Remembers where a long video was left and restores it on the next visit,
+ * with a short "start over?" prompt. The shortcode is resolved once the video
+ * becomes active, since Instagram updates the URL as reels scroll into view.
+ * Returns a cleanup function that saves the final position.
+ */
+function trackResumePosition(video, parent) {
+  let shortcode = null;
+  let restoreTried = false;
+  let lastSave = 0;
+  let lastPosition = null;
+  let promptTimer = null;
+
+  const prompt = document.createElement('div');
+  prompt.className = 'custom-resume-prompt';
+  prompt.hidden = true;
+
+  const label = document.createElement('span');
+  const restartBtn = document.createElement('button');
+  restartBtn.type = 'button';
+  restartBtn.textContent = 'Start over?';
+  prompt.appendChild(label);
+  prompt.appendChild(restartBtn);
+  parent.appendChild(prompt);
+
+  function isLongEnough() {
+    const dur = Number(video.duration);
+    return isFinite(dur) && dur >= settings.resumeMinDuration;
+  }
+
+  function hidePrompt() {
+    clearTimeout(promptTimer);
+    prompt.hidden = true;
+  }
+
+  // Saves the last position seen on timeupdate; by 'loadstart' the element
+  // has already dropped the old source's duration
+  function save() {
+    if (!shortcode || !settings.resumePlayback || !lastPosition) return;
+    const { time, duration } = lastPosition;
+    if (duration < settings.resumeMinDuration) return;
+    const nearEdge = time < RESUME_MARGIN || time > duration - RESUME_MARGIN;
+    saveResumePosition(shortcode, nearEdge ? null : time);
+  }
+
+  function tryRestore() {
+    if (restoreTried || !settings.resumePlayback || !isLongEnough()) return;
+    if (getActiveVideo() !== video) return;
+
+    shortcode = getShortcode();
+    if (!shortcode) return;
+    restoreTried = true;
+
+    const key = shortcode;
+    loadResumePosition(key, (time) => {
+      if (time == null || key !== shortcode || !enhanced.has(video)) return;
+      if (time < RESUME_MARGIN || time > video.duration - RESUME_MARGIN) return;
+      try {
+        video.currentTime = time;
+      } catch (e) {
+        return;
+      }
+      label.textContent = `Resumed at ${formatTime(time)} \u2014 `;
+      prompt.hidden = false;
+      clearTimeout(promptTimer);
+      promptTimer = setTimeout(hidePrompt, RESUME_PROMPT_MS);
+    });
+  }
+
+  function onLoadStart() {
+    save();
+    lastPosition = null;
+    shortcode = null;
+    restoreTried = false;
+    hidePrompt();
+  }
+
+  function onTimeUpdate() {
+    const dur = Number(video.duration);
+    if (isFinite(dur) && dur > 0) lastPosition = { time: Number(video.currentTime) || 0, duration: dur };
+
+    if (Date.now() - lastSave < RESUME_SAVE_INTERVAL_MS) return;
+    lastSave = Date.now();
+    save();
+  }
+
+  function onRestartClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    try {
+      video.currentTime = 0;
+    } catch (err) {}
+    if (shortcode) saveResumePosition(shortcode, null);
+    hidePrompt();
+  }
+
+  // Keep taps on the prompt away from Instagram's tap-to-pause
+  function stopProp(e) {
+    e.stopPropagation();
+  }
+
+  video.addEventListener('loadedmetadata', tryRestore);
+  video.addEventListener('play', tryRestore);
+  video.addEventListener('loadstart', onLoadStart);
+  video.addEventListener('timeupdate', onTimeUpdate);
+  video.addEventListener('pause', save);
+  restartBtn.addEventListener('click', onRestartClick);
+  prompt.addEventListener('click', stopProp);
+  prompt.addEventListener('mousedown', stopProp);
+
+  if (!isNaN(video.duration)) tryRestore();
+
+  return () => {
+    save();
+    hidePrompt();
+    video.removeEventListener('loadedmetadata', tryRestore);
+    video.removeEventListener('play', tryRestore);
+    video.removeEventListener('loadstart', onLoadStart);
+    video.removeEventListener('timeupdate', onTimeUpdate);
+    video.removeEventListener('pause', save);
+    restartBtn.removeEventListener('click', onRestartClick);
+    prompt.removeEventListener('click', stopProp);
+    prompt.removeEventListener('mousedown', stopProp);
+    if (prompt.parentElement) prompt.parentElement.removeChild(prompt);
+  };
+}
+
+/**
+ * Copies speed and volume from one video to another.
+ */
+function copyPlayback(from, to) {
+  try {
+    to.defaultPlaybackRate = from.playbackRate;
+    to.playbackRate = from.playbackRate;
+    to.volume = from.volume;
+    to.muted = from.muted;
+  } catch (e) {
+    // Ignore values rejected by the media element
+  }
+}
+
+/**
+ * Applies the speed/volume carried over by auto-advance to a newly mounted video.
+ */
+function applyPendingCarry(video) {
+  if (!pendingCarry) return;
+  if (Date.now() > pendingCarry.expires) {
+    pendingCarry = null;
+    return;
+  }
+  copyPlayback(pendingCarry, video);
+  pendingCarry = null;
+}
+
+/**
+ * Moves from a video to the next (step 1) or previous (step -1) reel: scrolls
+ * to that video in the feed if there is one, otherwise clicks Instagram's
+ * "Next"/"Previous" control. The video's speed and volume are carried over.
+ */
+function goToAdjacentReel(video, step) {
+  const videos = Array.from(document.querySelectorAll('video'));
+  const index = videos.indexOf(video);
+  const target = index === -1 ? null : videos[index + step];
+
+  if (target) {
+    copyPlayback(video, target);
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+  }
+
+  const control = document.querySelector(`[aria-label="${step > 0 ? 'Next' : 'Previous'}"]`);
+  const clickable = control && control.closest('button, a, [role="button"]');
+  if (!clickable) return false;
+
+  pendingCarry = {
+    playbackRate: video.playbackRate,
+    volume: video.volume,
+    muted: video.muted,
+    expires: Date.now() + CARRY_PLAYBACK_MS
+  };
+  clickable.click();
+  return true;
+}
+
+/**
+ * Records that the user just did something that may seek a video.
+ */
+function noteUserInput() {
+  lastUserInput = Date.now();
+}
+
+['pointerdown', 'pointerup', 'keydown', 'wheel', 'input'].forEach((type) => {
+  document.addEventListener(type, noteUserInput, { capture: true, passive: true });
+});
+
+/**
+ * Counts how often a video plays through - via 'ended', or via Instagram's
+ * native loop restart, which never fires 'ended' - and advances to the next
+ * reel after the configured number of plays while auto-advance is on.
+ * Returns a function that stops watching.
+ */
+function watchForEnd(video) {
+  let plays = 0;
+  let lastTime = Number(video.currentTime) || 0;
+  let userSeeking = false;
+
+  function completePlay() {
+    // Stories advance on their own
+    if (!settings.autoAdvance || loopMap.has(video) || isStoryPage()) return;
+    if (getActiveVideo() !== video) return;
+
+    plays += 1;
+    if (plays >= settings.autoAdvanceLoops) {
+      plays = 0;
+      goToAdjacentReel(video, 1);
+    }
+  }
+
+  function onTimeUpdate() {
+    const dur = Number(video.duration);
+    const cur = Number(video.currentTime) || 0;
+    const rate = Math.max(1, video.playbackRate || 1);
+    if (!userSeeking && isFinite(dur) && dur > 0 &&
+        lastTime >= dur - LOOP_END_WINDOW * rate && cur < LOOP_START_WINDOW * rate) {
+      completePlay();
+    }
+    lastTime = cur;
+  }
+
+  function onLoadStart() {
+    plays = 0;
+    lastTime = 0;
+  }
+
+  // A seek fires 'seeking', then 'timeupdate', then 'seeked'
+  function onSeeking() {
+    userSeeking = Date.now() - lastUserInput < USER_SEEK_WINDOW_MS;
+  }
+
+  function onSeeked() {
+    userSeeking = false;
+  }
+
+  video.addEventListener('timeupdate', onTimeUpdate);
+  video.addEventListener('ended', completePlay);
+  video.addEventListener('loadstart', onLoadStart);
+  video.addEventListener('seeking', onSeeking);
+  video.addEventListener('seeked', onSeeked);
+
+  return () => {
+    video.removeEventListener('timeupdate', onTimeUpdate);
+    video.removeEventListener('ended', completePlay);
+    video.removeEventListener('loadstart', onLoadStart);
+    video.removeEventListener('seeking', onSeeking);
+    video.removeEventListener('seeked', onSeeked);
+  };
+}
+
+/**
+ * Draws a video's timeline markers as ticks on the slider track.
+ */
+function updateMarkers(video, layer) {
+  if (!video || !layer) return;
+
+  const markers = markerMap.get(video);
+  const dur = Number(video.duration);
+  layer.textContent = '';
+  if (!markers || !markers.list.length || !isFinite(dur) || dur <= 0) return;
+
+  markers.list.forEach((marker) => {
+    const tick = document.createElement('div');
+    tick.className = 'custom-marker';
+    tick.style.left = `${Math.max(0, Math.min(100, (marker.time / dur) * 100))}%`;
+    layer.appendChild(tick);
+  });
+}
+
+/**
+ * Loads the stored markers for the post a video belongs to. Only called for
+ * the active video, since Instagram updates the URL as reels scroll into view
+ * and preloaded reels would otherwise get the current reel's shortcode.
+ */
+function loadMarkers(video) {
+  const shortcode = findShortcode(video);
+  if (!shortcode) return;
+
+  storageGet('local', MARKERS_KEY).then((items) => {
+    if (!items || !registry.has(video)) return;
+    const all = items[MARKERS_KEY] || {};
+    markerMap.set(video, { shortcode, list: normalizeMarkerList(all[shortcode]) });
+    refreshControls(video);
+  });
+}
+
+/**
+ * Updates the markers of every enhanced video after a storage change
+ * (from another tab, or an import on the options page).
+ */
+function applyStoredMarkers(all) {
+  registry.forEach((entry, video) => {
+    const markers = markerMap.get(video);
+    if (!markers) return;
+    markers.list = normalizeMarkerList((all || {})[markers.shortcode]);
+    entry.refresh();
+  });
+}
+
+// Load markers for each newly active video, now that the URL names its post
+onActiveVideoChange((video) => {
+  if (video && registry.has(video)) loadMarkers(video);
+});
+
+/**
+ * Returns true if any audio processing is switched on.
+ */
+function isAudioProcessingOn() {
+  return audioState.boost !== 1 || audioState.normalize || audioState.mono;
+}
+
+/**
+ * Returns the shared AudioContext, creating it if needed, or null if Web Audio
+ * is unavailable.
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+    try {
+      audioContext = new AudioCtx();
+    } catch (e) {
+      return null;
+    }
+  }
+  return audioContext;
+}
+
+/**
+ * Routes a video through its own node chain in the shared AudioContext (once
+ * per video) and applies the current audio state. Returns false if the
+ * video's audio cannot be processed: cross-origin media without CORS would
+ * play silence once routed.
+ */
+function ensureAudioGraph(video) {
+  let graph = audioMap.get(video);
+
+  if (!graph) {
+    const src = video.currentSrc || video.src || '';
+    const sameOrigin = src.startsWith('blob:') || src.startsWith(location.origin);
+    const ctx = getAudioContext();
+    if (!ctx || (!sameOrigin && !video.crossOrigin)) return false;
+
+    try {
+      graph = {
+        source: audioSources.get(video) || ctx.createMediaElementSource(video),
+        compressor: ctx.createDynamicsCompressor(),
+        gain: ctx.createGain(),
+        // Forcing a single channel makes the node downmix its input to mono
+        mono: ctx.createGain()
+      };
+    } catch (e) {
+      return false;
+    }
+    audioSources.set(video, graph.source);
+    graph.compressor.threshold.value = -24;
+    graph.compressor.knee.value = 30;
+    graph.compressor.ratio.value = 6;
+    graph.mono.channelCount = 1;
+    graph.mono.channelCountMode = 'explicit';
+    graph.mono.channelInterpretation = 'speakers';
+    audioMap.set(video, graph);
+  }
+
+  applyAudioState(graph);
+  return true;
+}
+
+/**
+ * Resumes the shared AudioContext. Called from command and popup handlers,
+ * since browsers may keep a context suspended until the user acts.
+ */
+function resumeAudioContext() {
+  if (audioContext && audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+}
+
+/**
+ * Rewires a video's audio graph for the current audio state:
+ * source -> [compressor] -> gain -> [mono downmix] -> speakers.
+ */
+function applyAudioState(graph) {
+  const { source, compressor, gain, mono } = graph;
+  [source, compressor, gain, mono].forEach((node) => node.disconnect());
+
+  let node = source;
+  if (audioState.normalize) {
+    node.connect(compressor);
+    node = compressor;
+  }
+  node.connect(gain);
+  node = gain;
+  if (audioState.mono) {
+    node.connect(mono);
+    node = mono;
+  }
+  node.connect(audioContext.destination);
+
+  gain.gain.value = audioState.boost;
+}
+
+/**
+ * Disconnects a video's node chain from the shared AudioContext. A video
+ * still on the page (e.g., being enhanced again) stays audible, unprocessed.
+ */
+function teardownAudioGraph(video) {
+  const graph = audioMap.get(video);
+  if (!graph) return;
+  audioMap.delete(video);
+  [graph.source, graph.compressor, graph.gain, graph.mono].forEach((node) => node.disconnect());
+  if (video.isConnected) graph.source.connect(audioContext.destination);
+}
+
+/**
+ * Changes the audio state and applies it to the active video.
+ * Reports over the video if its audio cannot be processed.
+ */
+function updateAudio(changes) {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  Object.assign(audioState, changes);
+  audioState.boost = Math.max(1, Math.min(settings.maxAudioBoost, audioState.boost));
+
+  // Nothing to do for a video that was never routed and needs no processing
+  if (!audioMap.has(video) && !isAudioProcessingOn()) return true;
+  if (!ensureAudioGraph(video)) {
+    showNotice(video, 'Audio processing is not available for this video');
+    return false;
+  }
+  resumeAudioContext();
+  return true;
+}
+
+// Carry audio processing over to each newly active video. This runs without a
+// user action, so a new video is only routed once the shared context is
+// running; routed through a suspended context, it would play silence.
+onActiveVideoChange((video) => {
+  if (!video) return;
+  if (audioMap.has(video)) {
+    ensureAudioGraph(video);
+  } else if (isAudioProcessingOn() && audioContext && audioContext.state === 'running') {
+    ensureAudioGraph(video);
+  }
+});
+
+/**
+ * Adds touch and pen gestures to the video surface:
+ * - double-tap on the left/right third seeks back/forward by the seek step
+ * - horizontal drag scrubs, with a time preview, and seeks on release
+ * - press, hold briefly, then drag vertically on the right third for volume
+ * Single taps and quick vertical swipes are left to Instagram (tap-to-mute,
+ * swipe-to-next). Returns a function that removes the gestures.
+ */
+function attachGestures(video, parent) {
+  let start = null;
+  let mode = null;
+  let scrubTarget = null;
+  let lastTap = null;
+  let suppressClicksUntil = 0;
+
+  const preview = document.createElement('div');
+  preview.className = 'custom-gesture-preview';
+  preview.setAttribute('aria-hidden', 'true');
+  preview.hidden = true;
+  parent.appendChild(preview);
+
+  function isGesturePointer(e) {
+    if (!settings.gestures || (e.pointerType !== 'touch' && e.pointerType !== 'pen')) return false;
+    // Taps on the left/right of a story already go to the previous/next story
+    if (isStoryPage()) return false;
+    if (!e.isPrimary) return false;
+    // Leave our own controls and Instagram's buttons alone
+    return !(e.target && e.target.closest &&
+      e.target.closest('button, a, [role="button"], .custom-seek-container'));
+  }
+
+  function sideOf(x) {
+    const rect = video.getBoundingClientRect();
+    if (x < rect.left + rect.width * GESTURE_SIDE_ZONE) return 'left';
+    if (x > rect.right - rect.width * GESTURE_SIDE_ZONE) return 'right';
+    return 'center';
+  }
+
+  function showPreview(text) {
+    preview.textContent = text;
+    preview.hidden = false;
+  }
+
+  function claim(e) {
+    e.stopPropagation();
+    suppressClicksUntil = Date.now() + 500;
+  }
+
+  function onPointerDown(e) {
+    if (!isGesturePointer(e)) return;
+    start = {
+      id: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      at: Date.now(),
+      currentTime: Number(video.currentTime) || 0,
+      volume: video.volume,
+      muted: video.muted,
+      paused: video.paused
+    };
+    mode = null;
+  }
+
+  function onPointerMove(e) {
+    if (!start || e.pointerId !== start.id) return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    const rect = video.getBoundingClientRect();
+
+    if (!mode) {
+      const held = Date.now() - start.at >= VOLUME_HOLD_MS;
+      if (Math.abs(dx) > DRAG_THRESHOLD && Math.abs(dx) > 2 * Math.abs(dy)) {
+        mode = 'scrub';
+      } else if (Math.abs(dy) > DRAG_THRESHOLD && held && sideOf(start.x) === 'right') {
+        mode = 'volume';
+      } else if (Math.hypot(dx, dy) > DRAG_THRESHOLD) {
+        // Someone else's gesture (e.g., a swipe to the next reel)
+        start = null;
+        return;
+      } else {
+        return;
+      }
+    }
+
+    claim(e);
+    if (mode === 'scrub') {
+      const dur = Number(video.duration);
+      if (!isFinite(dur) || dur <= 0 || rect.width <= 0) return;
+      scrubTarget = Math.max(0, Math.min(dur, start.currentTime + (dx / rect.width) * dur));
+      const delta = scrubTarget - start.currentTime;
+      showPreview(`${formatTime(scrubTarget)} (${delta < 0 ? '\u2212' : '+'}${Math.abs(delta).toFixed(1)}s)`);
+    } else {
+      const volume = Math.max(0, Math.min(1, start.volume - dy / (rect.height * 0.6)));
+      video.volume = volume;
+      if (volume > 0) video.muted = false;
+      showPreview(`Volume ${Math.round(volume * 100)}%`);
+    }
+  }
+
+  // Once a drag is ours, keep the page from scrolling or swiping underneath it
+  function onTouchMove(e) {
+    if (!mode) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function onPointerUp(e) {
+    if (!start || e.pointerId !== start.id) return;
+    const gesture = start;
+    const finished = mode;
+    start = null;
+    mode = null;
+    preview.hidden = true;
+
+    if (finished === 'scrub') {
+      claim(e);
+      if (scrubTarget !== null) {
+        try {
+          video.currentTime = scrubTarget;
+        } catch (err) {}
+      }
+      scrubTarget = null;
+      return;
+    }
+    if (finished === 'volume') {
+      claim(e);
+      rememberPlayback(video);
+      return;
+    }
+
+    // A tap: check for a double-tap on the left or right side
+    const now = Date.now();
+    if (now - gesture.at > TAP_MAX_MS) return;
+    const side = sideOf(e.clientX);
+    const isDoubleTap = lastTap && side !== 'center' && side === lastTap.side &&
+      now - lastTap.at <= DOUBLE_TAP_MS &&
+      Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) <= DOUBLE_TAP_DISTANCE;
+
+    if (!isDoubleTap) {
+      lastTap = { x: e.clientX, y: e.clientY, at: now, side, muted: gesture.muted, paused: gesture.paused };
+      return;
+    }
+
+    // Undo what Instagram did with the first tap (mute or pause toggle)
+    claim(e);
+    video.muted = lastTap.muted;
+    if (!lastTap.paused && video.paused) video.play().catch(() => {});
+    lastTap = null;
+
+    const step = side === 'left' ? -settings.seekStep : settings.seekStep;
+    const dur = Number(video.duration);
+    const max = isFinite(dur) ? dur : video.currentTime + step;
+    video.currentTime = Math.max(0, Math.min(max, video.currentTime + step));
+    showOsd(video, side === 'left' ? `\u2212${settings.seekStep}s` : `+${settings.seekStep}s`);
+  }
+
+  function onPointerCancel(e) {
+    if (!start || e.pointerId !== start.id) return;
+    start = null;
+    mode = null;
+    scrubTarget = null;
+    preview.hidden = true;
+  }
+
+  // Swallow the clicks (and double-click "like") that follow a gesture we handled
+  function onClick(e) {
+    if (Date.now() > suppressClicksUntil) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  const capture = { capture: true };
+  const activeCapture = { capture: true, passive: false };
+  parent.addEventListener('pointerdown', onPointerDown, capture);
+  parent.addEventListener('pointermove', onPointerMove, capture);
+  parent.addEventListener('pointerup', onPointerUp, capture);
+  parent.addEventListener('pointercancel', onPointerCancel, capture);
+  parent.addEventListener('touchmove', onTouchMove, activeCapture);
+  parent.addEventListener('click', onClick, capture);
+  parent.addEventListener('dblclick', onClick, capture);
+
+  return () => {
+    parent.removeEventListener('pointerdown', onPointerDown, capture);
+    parent.removeEventListener('pointermove', onPointerMove, capture);
+    parent.removeEventListener('pointerup', onPointerUp, capture);
+    parent.removeEventListener('pointercancel', onPointerCancel, capture);
+    parent.removeEventListener('touchmove', onTouchMove, activeCapture);
+    parent.removeEventListener('click', onClick, capture);
+    parent.removeEventListener('dblclick', onClick, capture);
+    if (preview.parentElement) preview.parentElement.removeChild(preview);
+  };
+}
+
+/**
+ * Saves a watch history entry, replacing an earlier save of the same session.
+ * All videos commit at once when the page is hidden, so writes are queued.
+ */
+function saveHistoryEntry(entry) {
+  updateStoredValue('local', WATCH_HISTORY_KEY, (list) => upsertHistoryEntry(list, entry));
+}
+
+/**
+ * Logs how much of a video was watched to the local watch history.
+ * A session covers one source of one video; it is saved when the user moves
+ * on (another video becomes active, the source changes, the page is hidden
+ * or the video is removed), and saved again if watching continues.
+ * Returns a function that saves the session and stops watching.
+ */
+function trackWatchHistory(video) {
+  let session = null;
+  let lastTime = null;
+
+  function newSession() {
+    session = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      shortcode: null,
+      author: null,
+      duration: null,
+      speed: null,
+      watched: 0,
+      started: Date.now()
+    };
+    lastTime = null;
+  }
+
+  // Writes only what the session recorded: by 'loadstart' the element has
+  // already dropped the old source's duration and reset its speed
+  function commit() {
+    if (!settings.watchHistory || !session || session.watched < MIN_WATCHED_SECONDS) return;
+    if (!session.shortcode) return;
+
+    saveHistoryEntry({
+      id: session.id,
+      shortcode: session.shortcode,
+      author: session.author,
+      duration: session.duration == null ? null : Math.round(session.duration * 10) / 10,
+      watched: Math.round(session.watched * 10) / 10,
+      speed: session.speed,
+      timestamp: session.started
+    });
+  }
+
+  function onTimeUpdate() {
+    const cur = Number(video.currentTime) || 0;
+    if (!settings.watchHistory || video.paused) {
+      lastTime = cur;
+      return;
+    }
+
+    if (isFinite(video.duration) && video.duration > 0) session.duration = video.duration;
+    session.speed = video.playbackRate;
+
+    // Resolve the post while the video is active, since the URL follows the active reel
+    if (!session.shortcode && getActiveVideo() === video) {
+      session.shortcode = findShortcode(video);
+      session.author = findAuthorHandle(video);
+    }
+
+    // Count forward playback and loop restarts, but not seeks
+    if (lastTime !== null) {
+      const delta = cur - lastTime;
+      if (delta > 0 && delta <= MAX_PLAYBACK_JUMP * video.playbackRate) {
+        session.watched += delta;
+      }
+    }
+    lastTime = cur;
+  }
+
+  function onLoadStart() {
+    commit();
+    newSession();
+  }
+
+  function onActiveChange(next, previous) {
+    if (previous === video) commit();
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') commit();
+  }
+
+  newSession();
+  video.addEventListener('timeupdate', onTimeUpdate);
+  video.addEventListener('loadstart', onLoadStart);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  onActiveVideoChange(onActiveChange);
+
+  return () => {
+    commit();
+    video.removeEventListener('timeupdate', onTimeUpdate);
+    video.removeEventListener('loadstart', onLoadStart);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    activeVideoListeners.delete(onActiveChange);
+  };
+}
+
+/**
+ * Creates the camera button used to capture the current frame.
+ */
+function createCaptureButton() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'custom-capture-button';
+  button.title = 'Capture frame';
+  button.setAttribute('aria-label', 'Capture frame');
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', '0 0 24 24');
+  svg.setAttribute('aria-hidden', 'true');
+  const path = document.createElementNS(SVG_NS, 'path');
+  path.setAttribute('d', 'M9 4 7.2 6H4a2 2 0 0 0-2 2v10a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V8a2 2 0 0 0-2-2h-3.2L15 4H9zm3 4.5a4.5 4.5 0 1 1 0 9 4.5 4.5 0 0 1 0-9zm0 2a2.5 2.5 0 1 0 0 5 2.5 2.5 0 0 0 0-5z');
+  svg.appendChild(path);
+  button.appendChild(svg);
+
+  return button;
+}
+
+/**
+ * Creates and attaches the slider controls to a video element.
+ * Idempotent - safe to call multiple times on the same video.
+ */
+function createControls(video) {
+  if (!video || !(video instanceof HTMLVideoElement)) return;
+  if (enhanced.has(video)) return;
+
+  const parent = findAttachmentParent(video);
+  if (!parent) return;
+
+  // Check for existing container to avoid duplicates
+  const existing = parent.querySelector('.custom-seek-container');
+  if (existing) {
+    const linked = existing.dataset && existing.dataset.forVideo === (video.dataset && video.dataset.customId);
+    if (linked) {
+      enhanced.add(video);
+      return;
+    }
+  }
+
+  // Create DOM elements
+  const container = document.createElement('div');
+  container.className = 'custom-seek-container';
+  container.classList.toggle('is-story', isStoryPage());
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.className = 'custom-slider';
+  slider.min = 0;
+  slider.step = 0.01;
+  slider.value = 0;
+  slider.setAttribute('aria-label', 'Seek');
+
+  // Visual-only helpers; the slider's aria-valuetext carries the same information
+  const tooltip = document.createElement('div');
+  tooltip.className = 'custom-seek-tooltip';
+  tooltip.setAttribute('aria-hidden', 'true');
+  tooltip.hidden = true;
+
+  const readout = document.createElement('div');
+  readout.className = 'custom-seek-time';
+  readout.setAttribute('aria-hidden', 'true');
+  readout.hidden = true;
+
+  const loopBand = document.createElement('div');
+  loopBand.className = 'custom-loop-range';
+  loopBand.setAttribute('aria-hidden', 'true');
+  loopBand.hidden = true;
+
+  // Sits next to the container rather than inside it, since the container
+  // swallows clicks before they reach its children
+  const captureBtn = createCaptureButton();
+
+  const markerLayer = document.createElement('div');
+  markerLayer.className = 'custom-marker-layer';
+  markerLayer.setAttribute('aria-hidden', 'true');
+
+  const autoAdvanceBadge = document.createElement('div');
+  autoAdvanceBadge.className = 'custom-auto-advance-badge';
+  autoAdvanceBadge.classList.toggle('is-story', isStoryPage());
+  autoAdvanceBadge.textContent = 'Auto-advance';
+  autoAdvanceBadge.hidden = !settings.autoAdvance;
+
+  // Prevent clicks from propagating to Instagram's handlers
+  function stopProp(e) {
+    e.stopPropagation();
+  }
+  container.addEventListener('click', stopProp, { capture: true });
+  container.addEventListener('mousedown', stopProp, { capture: true });
+  slider.addEventListener('click', stopProp, { capture: true });
+
+  // Named handlers for proper cleanup
+  function onTimeUpdate() {
+    enforceLoop(video);
+    updateProgress(video, slider);
+    updateTimeReadout(video, readout);
+    updateMediaSession(video);
+  }
+
+  function onLoadedMetadata() {
+    // A new source may have a different frame rate
+    frameDurationMap.delete(video);
+    cancelFrameMeasure();
+    cancelFrameMeasure = measureFrameDuration(video);
+
+    if (!isNaN(video.duration)) {
+      slider.max = video.duration;
+    }
+    updateProgress(video, slider);
+    updateTimeReadout(video, readout);
+    updateLoopRange(video, loopBand);
+
+    // A new source is a different post; its markers load once it is active
+    markerMap.delete(video);
+    if (video === activeVideo) {
+      loadMarkers(video);
+    } else {
+      refresh();
+    }
+  }
+
+  // Restart an A-B loop when a non-looping video reaches its end
+  function onEnded() {
+    const loop = loopMap.get(video);
+    if (!loop || loop.end == null) return;
+    try {
+      video.currentTime = loop.start;
+      video.play();
+    } catch (e) {
+      // Ignore DOM exceptions (e.g., if video is not seekable)
+    }
+  }
+
+  // Redraws everything that does not follow a media event (e.g., loop changes)
+  function refresh() {
+    updateProgress(video, slider);
+    updateTimeReadout(video, readout);
+    updateLoopRange(video, loopBand);
+    updateMarkers(video, markerLayer);
+    autoAdvanceBadge.hidden = !settings.autoAdvance;
+  }
+
+  function onProgress() {
+    updateProgress(video, slider);
+  }
+
+  function onSeeked() {
+    updateProgress(video, slider);
+    updateTimeReadout(video, readout);
+  }
+
+  // Undo Instagram resetting speed/volume shortly after mount or a new source
+  let stickyGuardStart = Date.now();
+
+  function onPlaybackReset() {
+    if (Date.now() - stickyGuardStart > STICKY_GUARD_MS) return;
+    applyStickyPlayback(video);
+  }
+
+  function onSourceStart() {
+    stickyGuardStart = Date.now();
+    applyStickyPlayback(video);
+  }
+
+  // An A-B range belongs to the previous source, not the next reel
+  function onNewSource() {
+    if (!loopMap.delete(video)) return;
+    updateLoopRange(video, loopBand);
+  }
+
+  // Hover tooltip showing where a seek would land
+  function onPointerMove(e) {
+    const dur = Number(video.duration);
+    const rect = container.getBoundingClientRect();
+    if (isNaN(dur) || !isFinite(dur) || dur <= 0 || rect.width <= 0) {
+      tooltip.hidden = true;
+      return;
+    }
+    const ratio = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const markers = markerMap.get(video);
+    const marker = markers && markers.list.find((m) => Math.abs(m.time / dur - ratio) <= MARKER_HOVER_RATIO);
+    tooltip.textContent = marker && marker.name
+      ? `${formatTime(marker.time)} \u00b7 ${marker.name}`
+      : formatTime(ratio * dur);
+    tooltip.style.left = `${ratio * 100}%`;
+    tooltip.hidden = false;
+  }
+
+  function onPointerLeave() {
+    tooltip.hidden = true;
+  }
+
+  function onSliderInput() {
+    const t = parseFloat(slider.value);
+    if (!isNaN(t)) {
+      try {
+        video.currentTime = t;
+        updateProgress(video, slider);
+        updateTimeReadout(video, readout);
+      } catch (err) {
+        // Ignore DOM exceptions (e.g., if video is not seekable)
+      }
+    }
+  }
+
+  // On story pages, hold the story while seeking so it does not auto-advance
+  // and its timer picks up from the new position
+  let releaseStory = null;
+  let storyReleaseTimer = null;
+
+  function holdStoryForSeek() {
+    clearTimeout(storyReleaseTimer);
+    if (isStoryPage() && !releaseStory) releaseStory = holdStory(video);
+  }
+
+  function releaseStoryHold() {
+    clearTimeout(storyReleaseTimer);
+    if (releaseStory) {
+      releaseStory();
+      releaseStory = null;
+    }
+  }
+
+  // Wheel and keyboard seeks come in bursts; release once they stop
+  function holdStoryBriefly() {
+    holdStoryForSeek();
+    if (releaseStory) storyReleaseTimer = setTimeout(releaseStoryHold, STORY_SEEK_HOLD_MS);
+  }
+
+  function onScrubStart() {
+    scrubbing.add(slider);
+    holdStoryForSeek();
+  }
+
+  function onScrubEnd() {
+    scrubbing.delete(slider);
+    releaseStoryHold();
+  }
+
+  // Wheel over the slider seeks (Shift: changes volume) instead of scrolling
+  // the feed. Small trackpad deltas add up to whole steps.
+  let wheelDelta = 0;
+
+  function onWheel(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Shift+wheel is reported as horizontal scrolling on some platforms
+    const raw = e.deltaY || e.deltaX;
+    const px = e.deltaMode === 1 ? raw * WHEEL_LINE_HEIGHT : e.deltaMode === 2 ? raw * WHEEL_NOTCH : raw;
+    let steps;
+    if (Math.abs(px) >= WHEEL_NOTCH) {
+      // A mouse wheel notch: one step, whatever its size
+      wheelDelta = 0;
+      steps = Math.sign(px);
+    } else {
+      wheelDelta += px;
+      steps = Math.trunc(wheelDelta / WHEEL_NOTCH);
+      wheelDelta -= steps * WHEEL_NOTCH;
+    }
+    if (!steps) return;
+
+    // Scrolling up (negative delta) seeks forward / turns the volume up
+    if (e.shiftKey) {
+      video.volume = Math.max(0, Math.min(1, video.volume - steps * settings.volumeStep));
+      if (video.volume > 0) video.muted = false;
+      rememberPlayback(video);
+      showOsd(video, describeVolume(video));
+      return;
+    }
+
+    const dur = Number(video.duration);
+    if (!isFinite(dur) || dur <= 0) return;
+    holdStoryBriefly();
+    try {
+      video.currentTime = Math.max(0, Math.min(dur, video.currentTime - steps * settings.wheelSeekStep));
+      updateProgress(video, slider);
+      updateTimeReadout(video, readout);
+    } catch (err) {
+      // Ignore DOM exceptions (e.g., if video is not seekable)
+    }
+  }
+
+  function onCaptureClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    captureFrame(video);
+  }
+
+  // Keyboard seeking while the slider is focused. Up/Down are left to
+  // Instagram's feed navigation, and Escape hands focus back to the page.
+  function onSliderKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const dur = Number(video.duration);
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown' || e.key === 'Escape') {
+      if (e.key !== 'Escape') e.preventDefault();
+      slider.blur();
+      return;
+    }
+    if (isNaN(dur) || !isFinite(dur) || dur <= 0) return;
+
+    const cur = Number(video.currentTime) || 0;
+    const targets = {
+      ArrowLeft: cur - settings.seekStep,
+      ArrowRight: cur + settings.seekStep,
+      PageDown: cur - dur / 10,
+      PageUp: cur + dur / 10,
+      Home: 0,
+      End: dur
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    holdStoryBriefly();
+    try {
+      video.currentTime = Math.max(0, Math.min(dur, targets[e.key]));
+      updateProgress(video, slider);
+      updateTimeReadout(video, readout);
+    } catch (err) {
+      // Ignore DOM exceptions (e.g., if video is not seekable)
+    }
+  }
+
+  // Attach listeners
+  let cancelFrameMeasure = measureFrameDuration(video);
+  video.addEventListener('timeupdate', onTimeUpdate);
+  video.addEventListener('loadedmetadata', onLoadedMetadata);
+  video.addEventListener('seeked', onSeeked);
+  video.addEventListener('progress', onProgress);
+  video.addEventListener('ended', onEnded);
+  video.addEventListener('ratechange', onPlaybackReset);
+  video.addEventListener('volumechange', onPlaybackReset);
+  video.addEventListener('loadstart', onSourceStart);
+  video.addEventListener('loadstart', onNewSource);
+  slider.addEventListener('input', onSliderInput);
+  slider.addEventListener('pointerdown', onScrubStart);
+  slider.addEventListener('pointerup', onScrubEnd);
+  slider.addEventListener('pointercancel', onScrubEnd);
+  slider.addEventListener('change', onScrubEnd);
+  slider.addEventListener('keydown', onSliderKeyDown);
+  container.addEventListener('mousemove', onPointerMove);
+  container.addEventListener('mouseleave', onPointerLeave);
+  container.addEventListener('wheel', onWheel, { passive: false });
+  captureBtn.addEventListener('click', onCaptureClick);
+  captureBtn.addEventListener('mousedown', stopProp);
+
+  // Insert into DOM
+  parent.appendChild(container);
+  container.appendChild(loopBand);
+  container.appendChild(markerLayer);
+  container.appendChild(slider);
+  container.appendChild(tooltip);
+  container.appendChild(readout);
+  parent.appendChild(captureBtn);
+  parent.appendChild(autoAdvanceBadge);
+
+  // Sync initial state
+  if (!isNaN(video.duration)) slider.max = video.duration;
+  updateProgress(video, slider);
+  updateTimeReadout(video, readout);
+  updateLoopRange(video, loopBand);
+  applyStickyPlayback(video);
+  applyPendingCarry(video);
+
+  // Mark as enhanced
+  enhanced.add(video);
+
+  const stopTracking = trackVideo(video, parent);
+  const stopResumeTracking = trackResumePosition(video, parent);
+  const stopWatchingEnd = watchForEnd(video);
+  const removeGestures = attachGestures(video, parent);
+  const stopHistory = trackWatchHistory(video);
+
+  // Create cleanup function
+  const cleanup = () => {
+    try {
+      video.removeEventListener('timeupdate', onTimeUpdate);
+      video.removeEventListener('loadedmetadata', onLoadedMetadata);
+      video.removeEventListener('seeked', onSeeked);
+      video.removeEventListener('progress', onProgress);
+      video.removeEventListener('ended', onEnded);
+      video.removeEventListener('ratechange', onPlaybackReset);
+      video.removeEventListener('volumechange', onPlaybackReset);
+      video.removeEventListener('loadstart', onSourceStart);
+      video.removeEventListener('loadstart', onNewSource);
+      clearTimeout(storyReleaseTimer);
+      slider.removeEventListener('input', onSliderInput);
+      slider.removeEventListener('pointerdown', onScrubStart);
+      slider.removeEventListener('pointerup', onScrubEnd);
+      slider.removeEventListener('pointercancel', onScrubEnd);
+      slider.removeEventListener('change', onScrubEnd);
+      slider.removeEventListener('keydown', onSliderKeyDown);
+      container.removeEventListener('mousemove', onPointerMove);
+      container.removeEventListener('mouseleave', onPointerLeave);
+      container.removeEventListener('wheel', onWheel, { passive: false });
+      captureBtn.removeEventListener('click', onCaptureClick);
+      captureBtn.removeEventListener('mousedown', stopProp);
+      container.removeEventListener('click', stopProp, { capture: true });
+      container.removeEventListener('mousedown', stopProp, { capture: true });
+      slider.removeEventListener('click', stopProp, { capture: true });
+    } catch (e) {
+      // Ignore if already removed
+    }
+    try {
+      cancelFrameMeasure();
+    } catch (e) {}
+    try {
+      stopResumeTracking();
+    } catch (e) {}
+    try {
+      stopTracking();
+    } catch (e) {}
+    try {
+      stopWatchingEnd();
+    } catch (e) {}
+    try {
+      teardownAudioGraph(video);
+    } catch (e) {}
+    try {
+      removeGestures();
+    } catch (e) {}
+    try {
+      stopHistory();
+    } catch (e) {}
+    try {
+      if (container.parentElement) {
+        container.parentElement.removeChild(container);
+      }
+      if (captureBtn.parentElement) {
+        captureBtn.parentElement.removeChild(captureBtn);
+      }
+      if (autoAdvanceBadge.parentElement) {
+        autoAdvanceBadge.parentElement.removeChild(autoAdvanceBadge);
+      }
+    } catch (e) {}
+    try {
+      enhanced.delete(video);
+    } catch (e) {}
+    loopMap.delete(video);
+    markerMap.delete(video);
+    registry.delete(video);
+  };
+
+  registry.set(video, { parent, container, cleanup, refresh });
+  if (video === activeVideo) loadMarkers(video);
+}
+
+/**
+ * Redraws the controls of an enhanced video.
+ */
+function refreshControls(video) {
+  if (!video) return;
+  const entry = registry.get(video);
+  if (entry) entry.refresh();
+}
+
+/**
+ * Cleans up all enhancements from a video element.
+ */
+function cleanupVideo(video) {
+  if (!video) return;
+  const entry = registry.get(video);
+  if (entry) entry.cleanup();
+}
+
+/**
+ * Cleans up registered videos that are no longer in the document.
+ */
+function pruneRegistry() {
+  registry.forEach((entry, video) => {
+    if (!video.isConnected) entry.cleanup();
+  });
+}
+
+/**
+ * Returns the enhanced videos that are still in the document.
+ */
+function getEnhancedVideos() {
+  pruneRegistry();
+  return Array.from(registry.keys());
+}
+
+/**
+ * Enhances every video on the page that is not enhanced yet.
+ */
+function enhanceAll() {
+  document.querySelectorAll('video').forEach((v) => {
+    try {
+      createControls(v);
+    } catch (e) {
+      // Individual failures shouldn't break the whole pass
+    }
+  });
+}
+
+/**
+ * Removes the controls from every enhanced video.
+ */
+function cleanupAll() {
+  Array.from(registry.values()).forEach((entry) => entry.cleanup());
+}
+
+/**
+ * Removes and re-creates the controls on every video on the page.
+ */
+function reenhanceAll() {
+  cleanupAll();
+  enhanceAll();
+}
+
+/**
+ * Describes an element as tag#id.class for debug output.
+ */
+function describeElement(el) {
+  if (!el || !el.tagName) return null;
+  const id = el.id ? `#${el.id}` : '';
+  const classes = typeof el.className === 'string' && el.className.trim()
+    ? `.${el.className.trim().split(/\s+/).join('.')}`
+    : '';
+  return `${el.tagName.toLowerCase()}${id}${classes}`;
+}
+
+/**
+ * Returns a plain snapshot of a video's state, for bug reports.
+ */
+function inspectVideo(video = getActiveVideo()) {
+  if (!video) return null;
+
+  const entry = registry.get(video);
+  return {
+    src: video.currentSrc || video.src || null,
+    duration: video.duration,
+    currentTime: video.currentTime,
+    paused: video.paused,
+    playbackRate: video.playbackRate,
+    volume: video.volume,
+    muted: video.muted,
+    enhanced: !!entry,
+    active: video === getActiveVideo(),
+    connected: video.isConnected,
+    attachmentParent: describeElement(entry ? entry.parent : findAttachmentParent(video)),
+    loop: loopMap.get(video) || null,
+    frameDuration: frameDurationMap.get(video) || null
+  };
+}
+
+/**
+ * Returns the state of the page and every enhanced video, for bug reports.
+ */
+function dumpState() {
+  return {
+    url: location.href,
+    shortcode: getShortcode(),
+    storyPage: isStoryPage(),
+    settings: Object.assign({}, settings),
+    videosOnPage: document.querySelectorAll('video').length,
+    enhanced: getEnhancedVideos().map((video) => inspectVideo(video))
+  };
+}
+
+// Load settings and react live to changes made on the options page
+applySliderColors();
+storageGet('sync', DEFAULT_SETTINGS).then((items) => {
+  if (items) applySettings(items);
+});
+
+storageGet('local', STICKY_PLAYBACK_KEY).then((items) => {
+  if (items && items[STICKY_PLAYBACK_KEY]) stickyPlayback = items[STICKY_PLAYBACK_KEY];
+});
+
+try {
+  ext.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local') {
+      // Sticky playback chosen in another tab
+      if (changes[STICKY_PLAYBACK_KEY]) {
+        stickyPlayback = changes[STICKY_PLAYBACK_KEY].newValue || { playbackRate: null, volume: null };
+      }
+      // Markers added in another tab or imported on the options page
+      if (changes[MARKERS_KEY]) {
+        applyStoredMarkers(changes[MARKERS_KEY].newValue);
+      }
+      return;
+    }
+    if (areaName !== 'sync') return;
+    const next = Object.assign({}, settings);
+    Object.keys(changes).forEach((key) => {
+      next[key] = 'newValue' in changes[key] ? changes[key].newValue : DEFAULT_SETTINGS[key];
+    });
+    applySettings(next);
+  });
+} catch (e) {
+  // Storage unavailable (e.g., extension context invalidated) - keep defaults
+}
+
+// Initial pass: enhance existing videos
+try {
+  enhanceAll();
+} catch (e) {
+  // Ignore if querySelectorAll is restricted early
+}
+
+// MutationObserver for dynamic SPA changes
+const observer = new MutationObserver((mutations) => {
+  let removedAny = false;
+
+  for (const mutation of mutations) {
+    // Process added nodes
+    if (mutation.addedNodes && mutation.addedNodes.length) {
+      mutation.addedNodes.forEach((node) => {
+        if (!node || node.nodeType !== 1) return;
+        try {
+          if (node.tagName === 'VIDEO') {
+            createControls(node);
+          } else if (node.querySelectorAll) {
+            const vids = node.querySelectorAll('video');
+            if (vids && vids.length) {
+              vids.forEach((v) => createControls(v));
+            }
+          }
+        } catch (e) {
+          // Continue on individual failures
+        }
+      });
+    }
+
+    // Process removed nodes: cleanup
+    if (mutation.removedNodes && mutation.removedNodes.length) {
+      removedAny = true;
+      mutation.removedNodes.forEach((node) => {
+        if (!node || node.nodeType !== 1) return;
+        try {
+          if (node.tagName === 'VIDEO') {
+            cleanupVideo(node);
+          } else if (node.querySelectorAll) {
+            const vids = node.querySelectorAll('video');
+            if (vids && vids.length) {
+              vids.forEach((v) => cleanupVideo(v));
+            }
+          }
+        } catch (e) {
+          // Continue on individual failures
+        }
+      });
+    }
+  }
+
+  // Catch videos detached along with an ancestor we did not see removed
+  if (removedAny) pruneRegistry();
+});
+
+// Start observing body for dynamic SPA changes
+observer.observe(document.body, { childList: true, subtree: true });
+
+// ---- Keyboard Shortcuts ----
+
+/**
+ * Toggles play/pause on the active video.
+ */
+function togglePlayPause() {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  if (video.paused) {
+    video.play();
+  } else {
+    video.pause();
+  }
+  return true;
+}
+
+/**
+ * Seeks backward by the specified seconds.
+ */
+function seekBackward(seconds = settings.seekStep) {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  video.currentTime = Math.max(0, video.currentTime - seconds);
+  return true;
+}
+
+/**
+ * Seeks forward by the specified seconds.
+ */
+function seekForward(seconds = settings.seekStep) {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  video.currentTime = Math.min(video.duration || video.currentTime + seconds, video.currentTime + seconds);
+  return true;
+}
+
+/**
+ * Increases volume by the specified amount (0-1).
+ */
+function increaseVolume(amount = settings.volumeStep) {
   const video = getActiveVideo();
   if (!video) return false;
 
-  video.currentTime = Math.max(0, video.currentTime - seconds);
+  video.volume = Math.min(1, video.volume + amount);
+  rememberPlayback(video);
   return true;
 }
 
 /**
- * Seeks forward by the specified seconds.
+ * Decreases volume by the specified amount (0-1).
  */
-function seekForward(seconds = 5) {
+function decreaseVolume(amount = settings.volumeStep) {
   const video = getActiveVideo();
   if (!video) return false;
 
-  video.currentTime = Math.min(video.duration || video.currentTime + seconds, video.currentTime + seconds);
+  video.volume = Math.max(0, video.volume - amount);
+  rememberPlayback(video);
   return true;
 }
 
 /**
- * Increases volume by the specified amount (0-1).
+ * Returns the next configured speed step above (direction 1) or below (-1)
+ * a rate. Works from any rate, not just configured steps. With no step in
+ * that direction (at or beyond the fastest/slowest step) the rate is kept.
  */
-function increaseVolume(amount = 0.1) {
+function nextSpeedStep(rate, direction) {
+  const speeds = settings.playbackSpeeds;
+  if (direction > 0) {
+    const next = speeds.find((speed) => speed > rate + SPEED_EPSILON);
+    return next === undefined ? rate : next;
+  }
+  const prev = speeds.slice().reverse().find((speed) => speed < rate - SPEED_EPSILON);
+  return prev === undefined ? rate : prev;
+}
+
+/**
+ * Steps to the next higher playback speed, stopping at the fastest.
+ */
+function increaseSpeed() {
   const video = getActiveVideo();
   if (!video) return false;
 
-  video.volume = Math.min(1, video.volume + amount);
+  video.playbackRate = nextSpeedStep(video.playbackRate || 1, 1);
+  rememberPlayback(video);
   return true;
 }
 
 /**
- * Decreases volume by the specified amount (0-1).
+ * Steps to the next lower playback speed, stopping at the slowest.
  */
-function decreaseVolume(amount = 0.1) {
+function decreaseSpeed() {
   const video = getActiveVideo();
   if (!video) return false;
 
-  video.volume = Math.max(0, video.volume - amount);
+  video.playbackRate = nextSpeedStep(video.playbackRate || 1, -1);
+  rememberPlayback(video);
   return true;
 }
 
 /**
- * Cycles to the next higher playback speed.
+ * Cycles to the next higher playback speed, looping back to the slowest
+ * after the fastest.
  */
-function increaseSpeed() {
+function cycleSpeed() {
   const video = getActiveVideo();
   if (!video) return false;
 
-  const currentSpeed = video.playbackRate || 1;
-  const currentIndex = PLAYBACK_SPEEDS.indexOf(currentSpeed);
-  const nextIndex = Math.min(currentIndex + 1, PLAYBACK_SPEEDS.length - 1);
-  video.playbackRate = PLAYBACK_SPEEDS[nextIndex];
+  const speeds = settings.playbackSpeeds;
+  const rate = video.playbackRate || 1;
+  video.playbackRate = rate >= speeds[speeds.length - 1] - SPEED_EPSILON
+    ? speeds[0]
+    : nextSpeedStep(rate, 1);
+  rememberPlayback(video);
   return true;
 }
 
 /**
- * Cycles to the next lower playback speed.
+ * Adjusts the playback speed by a small amount (default: FINE_SPEED_STEP),
+ * within the supported range.
  */
-function decreaseSpeed() {
+function adjustSpeed(delta) {
   const video = getActiveVideo();
   if (!video) return false;
 
-  const currentSpeed = video.playbackRate || 1;
-  const currentIndex = PLAYBACK_SPEEDS.indexOf(currentSpeed);
-  const prevIndex = Math.max(currentIndex - 1, 0);
-  video.playbackRate = PLAYBACK_SPEEDS[prevIndex];
+  const rate = Math.round(((video.playbackRate || 1) + delta) * 100) / 100;
+  video.playbackRate = Math.max(MIN_PLAYBACK_SPEED, Math.min(MAX_PLAYBACK_SPEED, rate));
+  rememberPlayback(video);
   return true;
 }
 
+/**
+ * Increases the playback speed by FINE_SPEED_STEP.
+ */
+function increaseSpeedFine() {
+  return adjustSpeed(FINE_SPEED_STEP);
+}
+
+/**
+ * Decreases the playback speed by FINE_SPEED_STEP.
+ */
+function decreaseSpeedFine() {
+  return adjustSpeed(-FINE_SPEED_STEP);
+}
+
 /**
  * Resets playback speed to 1x.
  */
@@ -361,32 +2287,664 @@ function resetSpeed() {
   if (!video) return false;
 
   video.playbackRate = 1;
+  rememberPlayback(video);
+  return true;
+}
+
+/**
+ * Sets the playback speed of the active video (clamped to the supported range).
+ */
+function setSpeed(rate) {
+  const video = getActiveVideo();
+  const value = Number(rate);
+  if (!video || !isFinite(value)) return false;
+
+  video.playbackRate = Math.max(MIN_PLAYBACK_SPEED, Math.min(MAX_PLAYBACK_SPEED, value));
+  rememberPlayback(video);
+  return true;
+}
+
+/**
+ * Sets the volume of the active video (0-1), unmuting it if the volume is above 0.
+ */
+function setVolume(volume) {
+  const video = getActiveVideo();
+  const value = Number(volume);
+  if (!video || !isFinite(value)) return false;
+
+  video.volume = Math.max(0, Math.min(1, value));
+  if (video.volume > 0) video.muted = false;
+  rememberPlayback(video);
+  return true;
+}
+
+/**
+ * Returns the playback state of the active video, for the toolbar popup.
+ */
+function getPlaybackState() {
+  const video = getActiveVideo();
+  if (!video) return null;
+
+  return {
+    currentTime: Number(video.currentTime) || 0,
+    duration: isFinite(video.duration) ? video.duration : null,
+    playbackRate: video.playbackRate,
+    volume: video.volume,
+    muted: video.muted,
+    paused: video.paused,
+    audio: Object.assign({ maxBoost: settings.maxAudioBoost }, audioState)
+  };
+}
+
+/**
+ * Raises the audio boost of the active video by AUDIO_BOOST_STEP (up to the configured cap).
+ */
+function increaseAudioBoost() {
+  return updateAudio({ boost: audioState.boost + AUDIO_BOOST_STEP });
+}
+
+/**
+ * Lowers the audio boost of the active video by AUDIO_BOOST_STEP (down to 100%).
+ */
+function decreaseAudioBoost() {
+  return updateAudio({ boost: audioState.boost - AUDIO_BOOST_STEP });
+}
+
+/**
+ * Sets the audio boost as a gain multiplier (1 = 100%).
+ */
+function setAudioBoost(boost) {
+  const value = Number(boost);
+  if (!isFinite(value)) return false;
+  return updateAudio({ boost: value });
+}
+
+/**
+ * Turns loudness normalization (dynamics compression) on or off;
+ * toggles it if no value is given.
+ */
+function toggleAudioNormalize(enabled) {
+  return updateAudio({ normalize: typeof enabled === 'boolean' ? enabled : !audioState.normalize });
+}
+
+/**
+ * Turns the mono downmix on or off; toggles it if no value is given.
+ */
+function toggleAudioMono(enabled) {
+  return updateAudio({ mono: typeof enabled === 'boolean' ? enabled : !audioState.mono });
+}
+
+/**
+ * Pauses the active video and steps by the given number of frames
+ * (negative steps go backward).
+ */
+function stepFrames(frames) {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  if (!video.paused) video.pause();
+
+  const dur = Number(video.duration);
+  const target = Number(video.currentTime) + frames * getFrameDuration(video);
+  const max = !isNaN(dur) && isFinite(dur) ? dur : target;
+  try {
+    video.currentTime = Math.max(0, Math.min(max, target));
+  } catch (e) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Pauses the active video and steps one frame forward.
+ */
+function frameForward() {
+  return stepFrames(1);
+}
+
+/**
+ * Pauses the active video and steps one frame backward.
+ */
+function frameBackward() {
+  return stepFrames(-1);
+}
+
+/**
+ * Saves the current frame of a video (default: the active video) as a PNG
+ * at native resolution, named from the post shortcode and timestamp.
+ * Reports an error over the video instead of saving a blank image when the
+ * browser blocks reading the frame (cross-origin video).
+ */
+function captureFrame(video = getActiveVideo()) {
+  if (!video) return false;
+
+  if (!video.videoWidth || !video.videoHeight) {
+    showNotice(video, 'Capture failed: no frame loaded yet');
+    return false;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  const time = Number(video.currentTime) || 0;
+  const filename = `${findShortcode(video) || 'instagram'}_${time.toFixed(3)}s.png`;
+
+  try {
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        showNotice(video, 'Capture failed: could not encode PNG');
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }, 'image/png');
+  } catch (e) {
+    // toBlob throws a SecurityError when the canvas is tainted
+    showNotice(video, e && e.name === 'SecurityError'
+      ? 'Capture failed: this video blocks frame capture (cross-origin)'
+      : 'Capture failed');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Explains why Picture-in-Picture cannot be used for a video, or returns null.
+ */
+function pipUnavailableReason(video) {
+  if (!document.pictureInPictureEnabled) {
+    return 'Picture-in-Picture is not available in this browser';
+  }
+  if (video.disablePictureInPicture) {
+    return 'Instagram has disabled Picture-in-Picture for this video';
+  }
+  if (video.readyState < 1) {
+    return 'Picture-in-Picture: video is not loaded yet';
+  }
+  return null;
+}
+
+/**
+ * Opens a video in Picture-in-Picture, reporting any failure over the video.
+ * Returns a promise that settles once the request is done, or null if
+ * Picture-in-Picture is unavailable for the video.
+ */
+function enterPictureInPicture(video) {
+  const reason = pipUnavailableReason(video);
+  if (reason) {
+    showNotice(video, reason);
+    return null;
+  }
+
+  return video.requestPictureInPicture().catch((err) => {
+    showNotice(video, `Picture-in-Picture failed: ${err && err.message ? err.message : 'unknown error'}`);
+  });
+}
+
+/**
+ * Opens the active video in Picture-in-Picture, or closes it if open.
+ */
+function togglePictureInPicture() {
+  if (document.pictureInPictureElement) {
+    document.exitPictureInPicture().catch((err) => {
+      const video = getActiveVideo();
+      if (video) showNotice(video, `Could not leave Picture-in-Picture: ${err && err.message}`);
+    });
+    return true;
+  }
+
+  const video = getActiveVideo();
+  if (!video) return false;
+  return enterPictureInPicture(video) !== null;
+}
+
+// True while Picture-in-Picture is being handed off to another video. The old
+// video gets 'leavepictureinpicture' during the hand-off, and Chromium has
+// already cleared the Picture-in-Picture element by then.
+let pipHandoff = false;
+
+// While Picture-in-Picture is open, hand it off to each newly active video
+onActiveVideoChange((video) => {
+  const pipVideo = document.pictureInPictureElement;
+  if (!video || !pipVideo || pipVideo === video || !registry.has(pipVideo)) return;
+
+  pipHandoff = true;
+  const request = enterPictureInPicture(video);
+  if (!request) {
+    pipHandoff = false;
+    return;
+  }
+  request.then(() => {
+    pipHandoff = false;
+  });
+});
+
+// When the user closes Picture-in-Picture, bring its video back into view and
+// focus its slider - but not when it just moved on to another video
+document.addEventListener(
+  'leavepictureinpicture',
+  (e) => {
+    if (pipHandoff || document.pictureInPictureElement) return;
+    const video = e.target;
+    const entry = registry.get(video);
+    if (!entry || !video.isConnected) return;
+
+    video.scrollIntoView({ block: 'center' });
+    const slider = entry.container.querySelector('.custom-slider');
+    if (slider) slider.focus({ preventScroll: true });
+  },
+  true
+);
+
+/**
+ * Adds a named marker at the current time of the active video.
+ * Markers are stored per post shortcode, so the video needs one.
+ */
+function addMarker(name) {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  const shortcode = findShortcode(video);
+  if (!shortcode) {
+    showNotice(video, 'Markers need a post or reel page');
+    return false;
+  }
+
+  const time = Number(video.currentTime) || 0;
+  // Markers loaded for another post (e.g., before the URL caught up) are not kept
+  const stored = markerMap.get(video);
+  const markers = stored && stored.shortcode === shortcode ? stored : null;
+  const count = markers ? markers.list.length : 0;
+  const label = typeof name === 'string'
+    ? name
+    : window.prompt(`Marker name at ${formatTime(time)}`, `Marker ${count + 1}`);
+  if (label === null) return false;
+
+  const marker = { time, name: label };
+  markerMap.set(video, { shortcode, list: normalizeMarkerList((markers ? markers.list : []).concat(marker)) });
+  refreshControls(video);
+
+  // Queued so quick successive markers are all stored. If storage is
+  // unavailable, the marker still shows until the page is left.
+  updateStoredValue('local', MARKERS_KEY, (all) => mergeMarkers(all || {}, { [shortcode]: [marker] }));
+  return true;
+}
+
+/**
+ * Seeks the active video to the next (direction 1) or previous (-1) marker.
+ */
+function jumpToMarker(direction) {
+  const video = getActiveVideo();
+  const markers = video && markerMap.get(video);
+  if (!markers || !markers.list.length) return false;
+
+  const cur = Number(video.currentTime) || 0;
+  // Going back skips a marker just passed, so repeated presses keep moving
+  const target = direction > 0
+    ? markers.list.find((m) => m.time > cur + 0.05)
+    : markers.list.slice().reverse().find((m) => m.time < cur - 0.5);
+  if (!target) return false;
+
+  try {
+    video.currentTime = target.time;
+  } catch (e) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Seeks the active video to the next marker.
+ */
+function nextMarker() {
+  return jumpToMarker(1);
+}
+
+/**
+ * Seeks the active video to the previous marker.
+ */
+function previousMarker() {
+  return jumpToMarker(-1);
+}
+
+/**
+ * Turns auto-advance on or off. The choice is saved with the other settings,
+ * so it applies to every Instagram tab.
+ */
+function toggleAutoAdvance() {
+  const enabled = !settings.autoAdvance;
+  applySettings(Object.assign({}, settings, { autoAdvance: enabled }));
+  // If storage is unavailable, the change still applies to this tab
+  storageSet('sync', { autoAdvance: enabled });
+  return true;
+}
+
+/**
+ * Sets loop point A at the current time of the active video.
+ * Clears point B if it would no longer be after A.
+ */
+function setLoopStart() {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  const start = Number(video.currentTime) || 0;
+  const loop = loopMap.get(video);
+  const end = loop && loop.end != null && loop.end > start ? loop.end : null;
+  loopMap.set(video, { start, end });
+  refreshControls(video);
+  return true;
+}
+
+/**
+ * Sets loop point B at the current time of the active video and starts looping.
+ * Point A defaults to the start of the video if it was not set.
+ */
+function setLoopEnd() {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  const end = Number(video.currentTime) || 0;
+  const loop = loopMap.get(video);
+  const start = loop ? loop.start : 0;
+  if (end <= start) return false;
+
+  loopMap.set(video, { start, end });
+  refreshControls(video);
+  enforceLoop(video);
   return true;
 }
 
+/**
+ * Clears the A-B loop on the active video.
+ */
+function clearLoop() {
+  const video = getActiveVideo();
+  if (!video) return false;
+
+  const hadLoop = loopMap.delete(video);
+  refreshControls(video);
+  return hadLoop;
+}
+
 // Command handler mapping
 const commandHandlers = {
   'play-pause': togglePlayPause,
   'seek-backward': seekBackward,
   'seek-forward': seekForward,
-  'speed-toggle': increaseSpeed,
+  'speed-toggle': cycleSpeed,
   'volume-down': decreaseVolume,
   'volume-up': increaseVolume,
   'speed-down': decreaseSpeed,
   'speed-up': increaseSpeed,
-  'speed-reset': resetSpeed
+  'speed-reset': resetSpeed,
+  'speed-fine-up': increaseSpeedFine,
+  'speed-fine-down': decreaseSpeedFine,
+  'loop-set-a': setLoopStart,
+  'loop-set-b': setLoopEnd,
+  'loop-clear': clearLoop,
+  'frame-forward': frameForward,
+  'frame-backward': frameBackward,
+  'capture-frame': captureFrame,
+  'set-speed': setSpeed,
+  'set-volume': setVolume,
+  'auto-advance-toggle': toggleAutoAdvance,
+  'pip-toggle': togglePictureInPicture,
+  'marker-add': addMarker,
+  'marker-next': nextMarker,
+  'marker-prev': previousMarker,
+  'audio-boost-up': increaseAudioBoost,
+  'audio-boost-down': decreaseAudioBoost,
+  'audio-normalize-toggle': toggleAudioNormalize,
+  'audio-mono-toggle': toggleAudioMono,
+  'set-audio-boost': setAudioBoost
+};
+
+/**
+ * Describes the active video's speed, noting when a configured limit is hit.
+ */
+function describeSpeed(video) {
+  const rate = Math.round(video.playbackRate * 100) / 100;
+  const speeds = settings.playbackSpeeds;
+  const limit = rate >= MAX_PLAYBACK_SPEED || rate === speeds[speeds.length - 1] ? ' (max)'
+    : rate <= MIN_PLAYBACK_SPEED || rate === speeds[0] ? ' (min)' : '';
+  return `Speed ${rate}\u00d7${limit}`;
+}
+
+/**
+ * Describes the active video's volume.
+ */
+function describeVolume(video) {
+  const pct = Math.round(video.volume * 100);
+  return video.muted ? `Volume ${pct}% (muted)` : `Volume ${pct}%`;
+}
+
+// On-screen feedback per command: (video, success) -> text, or null for none
+const osdMessages = {
+  'play-pause': (video) => (video.paused ? 'Paused' : 'Playing'),
+  'seek-backward': (video, ok) => (ok ? `\u2212${settings.seekStep}s` : null),
+  'seek-forward': (video, ok) => (ok ? `+${settings.seekStep}s` : null),
+  'speed-toggle': describeSpeed,
+  'speed-down': describeSpeed,
+  'speed-up': describeSpeed,
+  'speed-reset': describeSpeed,
+  'speed-fine-up': describeSpeed,
+  'speed-fine-down': describeSpeed,
+  'set-speed': describeSpeed,
+  'volume-down': describeVolume,
+  'volume-up': describeVolume,
+  'set-volume': describeVolume,
+  'loop-set-a': (video, ok) => (ok ? 'Loop A set' : null),
+  'loop-set-b': (video, ok) => (ok ? 'Loop B set' : 'Loop B must be after A'),
+  'loop-clear': (video, ok) => (ok ? 'Loop cleared' : 'No loop set'),
+  'frame-forward': (video, ok) => (ok ? `Frame +1 \u00b7 ${video.currentTime.toFixed(3)}s` : null),
+  'frame-backward': (video, ok) => (ok ? `Frame \u22121 \u00b7 ${video.currentTime.toFixed(3)}s` : null),
+  'capture-frame': (video, ok) => (ok ? 'Frame saved' : null),
+  'auto-advance-toggle': () => (settings.autoAdvance ? 'Auto-advance on' : 'Auto-advance off'),
+  'marker-add': (video, ok) => (ok ? 'Marker added' : null),
+  'marker-next': (video, ok) => (ok ? 'Next marker' : 'No next marker'),
+  'marker-prev': (video, ok) => (ok ? 'Previous marker' : 'No previous marker'),
+  'audio-boost-up': (video, ok) => (ok ? `Boost ${Math.round(audioState.boost * 100)}%` : null),
+  'audio-boost-down': (video, ok) => (ok ? `Boost ${Math.round(audioState.boost * 100)}%` : null),
+  'set-audio-boost': (video, ok) => (ok ? `Boost ${Math.round(audioState.boost * 100)}%` : null),
+  'audio-normalize-toggle': (video, ok) => (ok ? `Normalize ${audioState.normalize ? 'on' : 'off'}` : null),
+  'audio-mono-toggle': (video, ok) => (ok ? `Mono ${audioState.mono ? 'on' : 'off'}` : null)
+};
+
+/**
+ * Shows on-screen feedback for a command that just ran.
+ */
+function showCommandFeedback(command, success) {
+  const describe = osdMessages[command];
+  const video = getActiveVideo();
+  if (!describe || !video) return;
+
+  const text = describe(video, success);
+  if (text) showOsd(video, text);
+}
+
+// ---- Media Session ----
+
+// Longest caption shown as the title in the OS media controls
+const MAX_MEDIA_TITLE_LENGTH = 100;
+
+// Source the current media metadata was filled in for, so it is only rebuilt
+// when the active video or its source changes
+let mediaMetadataKey = null;
+// Instagram may render the author link after the video starts, so a missing
+// author is looked up again a few times on a timer
+const MEDIA_METADATA_RETRY_MS = 1000;
+const MAX_MEDIA_METADATA_RETRIES = 5;
+let mediaMetadataRetries = 0;
+let mediaMetadataTimer = null;
+// How many ancestors of a video are searched for its post's caption
+const CAPTION_SEARCH_DEPTH = 10;
+
+/**
+ * Identifies what the active video is showing: its source and the page URL,
+ * which Instagram updates as reels scroll into view.
+ */
+function mediaSourceKey(video) {
+  return `${video.currentSrc}|${location.pathname}`;
+}
+
+/**
+ * Finds the caption of the post a video belongs to. Returns null if not found.
+ */
+function findCaption(video) {
+  let el = video && video.parentElement;
+  for (let depth = 0; el && el !== document.body && depth < CAPTION_SEARCH_DEPTH; depth++) {
+    const heading = el.querySelector('h1');
+    const text = heading && heading.textContent.trim();
+    if (text) return text;
+    if (el.tagName === 'ARTICLE') break;
+    el = el.parentElement;
+  }
+  return null;
+}
+
+/**
+ * Fills in the OS media controls' title and artist from the video's caption and author.
+ */
+function updateMediaMetadata(video) {
+  const key = mediaSourceKey(video);
+  if (key !== mediaMetadataKey) mediaMetadataRetries = 0;
+  mediaMetadataKey = key;
+  clearTimeout(mediaMetadataTimer);
+
+  const author = findAuthorHandle(video);
+  const caption = findCaption(video);
+  const title = caption && caption.length > MAX_MEDIA_TITLE_LENGTH
+    ? `${caption.slice(0, MAX_MEDIA_TITLE_LENGTH - 1)}\u2026`
+    : caption;
+
+  try {
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: title || (author ? `Video by @${author}` : 'Instagram video'),
+      artist: author ? `@${author}` : '',
+      album: 'Instagram',
+      artwork: video.poster ? [{ src: video.poster }] : []
+    });
+  } catch (e) {
+    // MediaMetadata unavailable or rejected its values
+  }
+
+  if (!author && mediaMetadataRetries < MAX_MEDIA_METADATA_RETRIES) {
+    mediaMetadataRetries += 1;
+    mediaMetadataTimer = setTimeout(() => {
+      if (video === activeVideo && mediaSourceKey(video) === key) updateMediaMetadata(video);
+    }, MEDIA_METADATA_RETRY_MS);
+  }
+}
+
+/**
+ * Keeps the OS media controls in step with the active video: position,
+ * speed and, when the video or its source changed, title and artist.
+ */
+function updateMediaSession(video) {
+  if (!('mediaSession' in navigator) || video !== activeVideo) return;
+
+  if (mediaMetadataKey !== mediaSourceKey(video)) {
+    updateMediaMetadata(video);
+  }
+
+  const dur = Number(video.duration);
+  if (isNaN(dur) || !isFinite(dur) || dur <= 0 || !(video.playbackRate > 0)) return;
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: dur,
+      playbackRate: video.playbackRate,
+      position: Math.max(0, Math.min(dur, Number(video.currentTime) || 0))
+    });
+  } catch (e) {
+    // Position rejected (e.g., while the source is changing)
+  }
+}
+
+/**
+ * Moves to the next (step 1) or previous (step -1) story or reel.
+ */
+function mediaSessionTrack(step) {
+  if (isStoryPage()) return clickStoryControl(step > 0 ? 'Next' : 'Previous');
+  const video = getActiveVideo();
+  return !!video && goToAdjacentReel(video, step);
+}
+
+// Media keys, headset buttons and desktop media widgets, all acting on the active video.
+// Stories are played and paused through Instagram's controls so their timer follows.
+const mediaSessionHandlers = {
+  play: () => {
+    const video = getActiveVideo();
+    if (!video || (isStoryPage() && clickStoryControl('Play'))) return;
+    video.play().catch(() => {});
+  },
+  pause: () => {
+    const video = getActiveVideo();
+    if (!video || (isStoryPage() && clickStoryControl('Pause'))) return;
+    video.pause();
+  },
+  seekbackward: (details) => {
+    noteUserInput();
+    seekBackward(details.seekOffset || settings.seekStep);
+  },
+  seekforward: (details) => {
+    noteUserInput();
+    seekForward(details.seekOffset || settings.seekStep);
+  },
+  seekto: (details) => {
+    noteUserInput();
+    const video = getActiveVideo();
+    if (!video || details.seekTime == null) return;
+    if (details.fastSeek && typeof video.fastSeek === 'function') {
+      video.fastSeek(details.seekTime);
+    } else {
+      video.currentTime = details.seekTime;
+    }
+  },
+  previoustrack: () => mediaSessionTrack(-1),
+  nexttrack: () => mediaSessionTrack(1)
 };
 
-// Listen for commands from background script
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+if ('mediaSession' in navigator) {
+  Object.keys(mediaSessionHandlers).forEach((action) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, mediaSessionHandlers[action]);
+    } catch (e) {
+      // Action not supported by this browser
+    }
+  });
+
+  onActiveVideoChange((video) => {
+    mediaMetadataKey = null;
+    clearTimeout(mediaMetadataTimer);
+    if (video) {
+      updateMediaSession(video);
+    } else {
+      navigator.mediaSession.metadata = null;
+    }
+  });
+}
+
+// Listen for commands from the background script and the toolbar popup
+ext.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'command' && message.command) {
+    noteUserInput();
     const handler = commandHandlers[message.command];
     if (handler) {
-      const result = handler();
+      const args = Array.isArray(message.args) ? message.args : [];
+      const result = handler(...args);
+      showCommandFeedback(message.command, result);
       sendResponse({ success: result });
     } else {
       sendResponse({ success: false, error: 'Unknown command' });
     }
+  } else if (message.action === 'getState') {
+    const state = getPlaybackState();
+    sendResponse(state ? { success: true, state } : { success: false, error: 'No video' });
   }
   return true; // Keep message channel open for async response
 });
@@ -395,26 +2953,45 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 try {
   Object.defineProperty(window, '__instaScrubber', {
     value: {
-      enhanceAll: () => {
-        document.querySelectorAll('video').forEach(createControls);
-      },
-      enhancedCount: () => {
-        let n = 0;
-        cleanupMap && cleanupMap.forEach && cleanupMap.forEach(() => n++);
-        return n;
-      },
-      cleanupAll: () => {
-        cleanupMap.forEach && cleanupMap.forEach((fn) => fn && fn());
-      },
+      enhanceAll,
+      enhancedCount: () => getEnhancedVideos().length,
+      listVideos: () => getEnhancedVideos().map((video) => inspectVideo(video)),
+      cleanupAll,
+      reenhanceAll,
+      inspect: inspectVideo,
+      dump: dumpState,
       // Keyboard shortcut functions for testing
       togglePlayPause,
       seekBackward,
       seekForward,
-      increaseSpeed,    // Also used for speed-toggle command
+      increaseSpeed,
       decreaseSpeed,
+      cycleSpeed,       // Used for speed-toggle command
+      increaseSpeedFine,
+      decreaseSpeedFine,
       resetSpeed,
       increaseVolume,
       decreaseVolume,
+      setLoopStart,
+      setLoopEnd,
+      clearLoop,
+      frameForward,
+      frameBackward,
+      getFrameDuration,
+      captureFrame,
+      setSpeed,
+      setVolume,
+      getPlaybackState,
+      toggleAutoAdvance,
+      togglePictureInPicture,
+      addMarker,            // addMarker('Chorus') skips the name prompt
+      nextMarker,
+      previousMarker,
+      increaseAudioBoost,
+      decreaseAudioBoost,
+      setAudioBoost,        // setAudioBoost(2) = 200%
+      toggleAudioNormalize,
+      toggleAudioMono,
       getActiveVideo
     },
     configurable: true,
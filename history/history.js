@@ -0,0 +1,149 @@
+/**
+ * Instagram Reel Slider - Watch History Page
+ * Lists, filters and exports the local watch history from storage.local.
+ */
+
+const filtersForm = document.getElementById('filters');
+const rowsEl = document.getElementById('rows');
+const countEl = document.getElementById('count');
+const emptyEl = document.getElementById('empty');
+
+// A video counts as watched to the end once this share of it has played
+const COMPLETED_RATIO = 0.9;
+
+const CSV_COLUMNS = ['timestamp', 'author', 'shortcode', 'url', 'duration', 'watched', 'speed'];
+
+let entries = [];
+
+function postUrl(shortcode) {
+  return `https://www.instagram.com/p/${encodeURIComponent(shortcode)}/`;
+}
+
+function isCompleted(entry) {
+  return entry.duration > 0 && entry.watched >= entry.duration * COMPLETED_RATIO;
+}
+
+/**
+ * Returns the entries matching the search text, date range and completion filter.
+ */
+function filterEntries() {
+  const query = filtersForm.elements.search.value.trim().toLowerCase();
+  // Date inputs are local calendar days; the range includes the whole "to" day
+  const from = filtersForm.elements.from.value ? new Date(`${filtersForm.elements.from.value}T00:00`).getTime() : -Infinity;
+  const to = filtersForm.elements.to.value ? new Date(`${filtersForm.elements.to.value}T00:00`).getTime() + 86400000 : Infinity;
+  const completedOnly = filtersForm.elements.completed.checked;
+
+  return entries.filter((entry) => {
+    if (entry.timestamp < from || entry.timestamp >= to) return false;
+    if (completedOnly && !isCompleted(entry)) return false;
+    if (!query) return true;
+    return [entry.author, entry.shortcode].some((field) => field && field.toLowerCase().includes(query));
+  });
+}
+
+function cell(row, content, className) {
+  const td = document.createElement('td');
+  if (content instanceof Node) {
+    td.appendChild(content);
+  } else {
+    td.textContent = content;
+  }
+  if (className) td.className = className;
+  row.appendChild(td);
+}
+
+function render() {
+  const visible = filterEntries();
+  rowsEl.textContent = '';
+
+  visible.forEach((entry) => {
+    const row = document.createElement('tr');
+    cell(row, new Date(entry.timestamp).toLocaleString());
+
+    if (entry.author) {
+      const author = document.createElement('a');
+      author.href = `https://www.instagram.com/${encodeURIComponent(entry.author)}/`;
+      author.target = '_blank';
+      author.rel = 'noopener';
+      author.textContent = `@${entry.author}`;
+      cell(row, author);
+    } else {
+      cell(row, '—');
+    }
+
+    const post = document.createElement('a');
+    post.href = postUrl(entry.shortcode);
+    post.target = '_blank';
+    post.rel = 'noopener';
+    post.textContent = entry.shortcode;
+    cell(row, post);
+
+    cell(row, entry.duration == null ? '—' : formatTime(entry.duration), 'number');
+    cell(row, formatTime(entry.watched), 'number');
+    cell(row, `${entry.speed}x`, 'number');
+    rowsEl.appendChild(row);
+  });
+
+  countEl.textContent = visible.length === entries.length
+    ? `${entries.length} videos`
+    : `${visible.length} of ${entries.length} videos`;
+  emptyEl.hidden = visible.length > 0;
+}
+
+/**
+ * Quotes a CSV field when it contains separators, quotes or line breaks.
+ */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(list) {
+  const lines = list.map((entry) => {
+    const record = Object.assign({}, entry, {
+      timestamp: new Date(entry.timestamp).toISOString(),
+      url: postUrl(entry.shortcode)
+    });
+    return CSV_COLUMNS.map((column) => csvField(record[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(',')].concat(lines).join('\r\n');
+}
+
+function download(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function load() {
+  storageGet('local', WATCH_HISTORY_KEY).then((items) => {
+    entries = items && Array.isArray(items[WATCH_HISTORY_KEY]) ? items[WATCH_HISTORY_KEY] : [];
+    render();
+  });
+}
+
+filtersForm.addEventListener('input', render);
+filtersForm.addEventListener('submit', (e) => e.preventDefault());
+
+document.getElementById('export-csv').addEventListener('click', () => {
+  download(toCsv(filterEntries()), 'text/csv', 'instagram-watch-history.csv');
+});
+
+document.getElementById('export-json').addEventListener('click', () => {
+  download(JSON.stringify(filterEntries(), null, 2), 'application/json', 'instagram-watch-history.json');
+});
+
+document.getElementById('clear').addEventListener('click', () => {
+  if (!confirm('Delete the whole watch history?')) return;
+  storageRemove('local', WATCH_HISTORY_KEY);
+});
+
+// Keep the list current while videos are being watched in other tabs
+ext.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[WATCH_HISTORY_KEY]) load();
+});
+
+load();
@@ -0,0 +1,182 @@
+/**
+ * Instagram Reel Slider - Options Page
+ * Reads and writes user settings in storage.sync.
+ */
+
+const form = document.getElementById('options-form');
+const statusEl = document.getElementById('status');
+const preview = document.getElementById('slider-preview');
+
+let statusTimer = null;
+
+/**
+ * Shows a short-lived status message next to the Save button.
+ */
+function showStatus(text, isError) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', !!isError);
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    statusEl.textContent = '';
+  }, 2000);
+}
+
+/**
+ * Draws the slider preview with the colors currently in the form.
+ */
+function updatePreview() {
+  const progress = toColor(form.elements.progressColor.value, DEFAULT_SETTINGS.progressColor);
+  const buffered = toColor(form.elements.bufferedColor.value, DEFAULT_SETTINGS.bufferedColor);
+  const track = toColor(form.elements.trackColor.value, DEFAULT_SETTINGS.trackColor);
+  preview.style.backgroundImage = `linear-gradient(to right, ${progress} 40%, ${buffered} 40%, ${buffered} 70%, ${track} 70%)`;
+}
+
+/**
+ * Fills the form from a settings object.
+ */
+function fillForm(values) {
+  form.elements.seekStep.value = values.seekStep;
+  form.elements.wheelSeekStep.value = values.wheelSeekStep;
+  form.elements.volumeStep.value = Math.round(values.volumeStep * 100);
+  form.elements.playbackSpeeds.value = values.playbackSpeeds.join(', ');
+  form.elements.progressColor.value = values.progressColor;
+  form.elements.bufferedColor.value = values.bufferedColor;
+  form.elements.trackColor.value = values.trackColor;
+  form.elements.timeDisplay.value = values.timeDisplay;
+  form.elements.frameRate.value = values.frameRate;
+  form.elements.showOsd.checked = values.showOsd;
+  form.elements.gestures.checked = values.gestures;
+  form.elements.stickyPlayback.checked = values.stickyPlayback;
+  form.elements.resumePlayback.checked = values.resumePlayback;
+  form.elements.resumeMinDuration.value = values.resumeMinDuration;
+  form.elements.singleAudio.value = values.singleAudio;
+  form.elements.autoAdvance.checked = values.autoAdvance;
+  form.elements.autoAdvanceLoops.value = values.autoAdvanceLoops;
+  form.elements.maxAudioBoost.value = Math.round(values.maxAudioBoost * 100);
+  form.elements.watchHistory.checked = values.watchHistory;
+  updatePreview();
+}
+
+/**
+ * Reads the form into a raw settings object (validated by normalizeSettings).
+ */
+function readForm() {
+  return {
+    seekStep: parseFloat(form.elements.seekStep.value),
+    wheelSeekStep: parseFloat(form.elements.wheelSeekStep.value),
+    volumeStep: parseFloat(form.elements.volumeStep.value) / 100,
+    playbackSpeeds: form.elements.playbackSpeeds.value.split(',').map((s) => parseFloat(s)),
+    progressColor: form.elements.progressColor.value,
+    bufferedColor: form.elements.bufferedColor.value,
+    trackColor: form.elements.trackColor.value,
+    timeDisplay: form.elements.timeDisplay.value,
+    frameRate: parseFloat(form.elements.frameRate.value),
+    showOsd: form.elements.showOsd.checked,
+    gestures: form.elements.gestures.checked,
+    stickyPlayback: form.elements.stickyPlayback.checked,
+    resumePlayback: form.elements.resumePlayback.checked,
+    resumeMinDuration: parseFloat(form.elements.resumeMinDuration.value),
+    singleAudio: form.elements.singleAudio.value,
+    autoAdvance: form.elements.autoAdvance.checked,
+    autoAdvanceLoops: parseInt(form.elements.autoAdvanceLoops.value, 10),
+    maxAudioBoost: parseFloat(form.elements.maxAudioBoost.value) / 100,
+    watchHistory: form.elements.watchHistory.checked
+  };
+}
+
+function saveSettings(values) {
+  const normalized = normalizeSettings(values);
+  storageSet('sync', normalized).then((ok) => {
+    if (!ok) {
+      showStatus('Could not save settings', true);
+      return;
+    }
+    fillForm(normalized);
+    showStatus('Saved');
+  });
+}
+
+form.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveSettings(readForm());
+});
+
+form.addEventListener('input', updatePreview);
+
+document.getElementById('reset').addEventListener('click', () => {
+  saveSettings(DEFAULT_SETTINGS);
+});
+
+/**
+ * Downloads all stored markers as a JSON file.
+ */
+function exportMarkers() {
+  storageGet('local', MARKERS_KEY).then((items) => {
+    if (!items) {
+      showStatus('Export failed: could not read markers', true);
+      return;
+    }
+    const data = {
+      version: MARKERS_EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      markers: items[MARKERS_KEY] || {}
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'instagram-reel-markers.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+}
+
+/**
+ * Merges markers from an exported JSON file into the stored ones.
+ */
+function importMarkers(file) {
+  file.text().then((text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      showStatus('Import failed: not a JSON file', true);
+      return;
+    }
+    const markers = data && data.markers;
+    if (!data || data.version !== MARKERS_EXPORT_VERSION ||
+        !markers || typeof markers !== 'object' || Array.isArray(markers)) {
+      showStatus('Import failed: not a markers export', true);
+      return;
+    }
+
+    // Posts with a valid shortcode and at least one valid marker
+    const accepted = Object.keys(mergeMarkers({}, markers)).length;
+
+    storageGet('local', MARKERS_KEY)
+      .then((items) => items && storageSet('local', { [MARKERS_KEY]: mergeMarkers(items[MARKERS_KEY] || {}, markers) }))
+      .then((ok) => {
+        if (!ok) {
+          showStatus('Import failed: could not save markers', true);
+          return;
+        }
+        showStatus(`Imported markers for ${accepted} posts`);
+      });
+  });
+}
+
+const importFile = document.getElementById('import-file');
+
+document.getElementById('export-markers').addEventListener('click', exportMarkers);
+
+document.getElementById('import-markers').addEventListener('click', () => {
+  importFile.click();
+});
+
+importFile.addEventListener('change', () => {
+  if (importFile.files.length) importMarkers(importFile.files[0]);
+  importFile.value = '';
+});
+
+storageGet('sync', DEFAULT_SETTINGS).then((items) => {
+  fillForm(normalizeSettings(items || DEFAULT_SETTINGS));
+});
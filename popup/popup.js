@@ -0,0 +1,148 @@
+/**
+ * Instagram Reel Slider - Toolbar Popup
+ * Remote controls for the active video in the current Instagram tab.
+ */
+
+const messageEl = document.getElementById('message');
+const controls = document.getElementById('controls');
+const timeEl = document.getElementById('time');
+const playPauseBtn = document.getElementById('play-pause');
+const speedSelect = document.getElementById('speed');
+const volumeSlider = document.getElementById('volume');
+const volumeValue = document.getElementById('volume-value');
+const boostSlider = document.getElementById('boost');
+const boostValue = document.getElementById('boost-value');
+const normalizeBox = document.getElementById('normalize');
+const monoBox = document.getElementById('mono');
+
+// How often the popup refreshes the video state while open
+const POLL_INTERVAL_MS = 500;
+
+let tabId = null;
+let speeds = DEFAULT_SETTINGS.playbackSpeeds;
+
+/**
+ * Shows a message in place of the controls.
+ */
+function showMessage(text) {
+  messageEl.textContent = text;
+  messageEl.hidden = false;
+  controls.hidden = true;
+}
+
+/**
+ * Sends a message to the content script in the current tab.
+ */
+function sendToTab(message, callback) {
+  sendTabMessage(tabId, message).then((response) => {
+    if (!response) {
+      showMessage('The extension is not running in this tab yet. Reload the Instagram page and try again.');
+      return;
+    }
+    if (callback) callback(response);
+  });
+}
+
+/**
+ * Fills the speed picker, keeping the current rate selectable even if it
+ * is not one of the configured steps.
+ */
+function fillSpeeds(speeds, current) {
+  const values = speeds.includes(current) ? speeds : speeds.concat(current).sort((a, b) => a - b);
+  speedSelect.textContent = '';
+  values.forEach((speed) => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = `${speed}x`;
+    speedSelect.appendChild(option);
+  });
+  speedSelect.value = current;
+}
+
+/**
+ * Updates the controls from the content script's playback state.
+ */
+function render(state) {
+  messageEl.hidden = true;
+  controls.hidden = false;
+
+  timeEl.textContent = state.duration == null
+    ? formatTime(state.currentTime)
+    : `${formatTime(state.currentTime)} / ${formatTime(state.duration)}`;
+
+  playPauseBtn.textContent = state.paused ? '\u25B6' : '\u23F8';
+  playPauseBtn.setAttribute('aria-label', state.paused ? 'Play' : 'Pause');
+
+  if (document.activeElement !== speedSelect) {
+    fillSpeeds(speeds, state.playbackRate);
+  }
+
+  const volume = state.muted ? 0 : Math.round(state.volume * 100);
+  if (document.activeElement !== volumeSlider) {
+    volumeSlider.value = volume;
+  }
+  volumeValue.textContent = state.muted ? '(muted)' : `${volume}%`;
+
+  const boost = Math.round(state.audio.boost * 100);
+  boostSlider.max = Math.round(state.audio.maxBoost * 100);
+  if (document.activeElement !== boostSlider) {
+    boostSlider.value = boost;
+  }
+  boostValue.textContent = `${boost}%`;
+  normalizeBox.checked = state.audio.normalize;
+  monoBox.checked = state.audio.mono;
+}
+
+function refresh() {
+  sendToTab({ action: 'getState' }, (response) => {
+    if (response && response.success) {
+      render(response.state);
+    } else {
+      showMessage('No video found on this page. Open a reel or scroll a video into view.');
+    }
+  });
+}
+
+function sendCommand(command, args) {
+  sendToTab({ action: 'command', command, args }, refresh);
+}
+
+controls.querySelectorAll('button[data-command]').forEach((button) => {
+  button.addEventListener('click', () => sendCommand(button.dataset.command));
+});
+
+speedSelect.addEventListener('change', () => {
+  sendCommand('set-speed', [parseFloat(speedSelect.value)]);
+});
+
+volumeSlider.addEventListener('input', () => {
+  sendCommand('set-volume', [parseInt(volumeSlider.value, 10) / 100]);
+});
+
+boostSlider.addEventListener('input', () => {
+  sendCommand('set-audio-boost', [parseInt(boostSlider.value, 10) / 100]);
+});
+
+normalizeBox.addEventListener('change', () => {
+  sendCommand('audio-normalize-toggle', [normalizeBox.checked]);
+});
+
+monoBox.addEventListener('change', () => {
+  sendCommand('audio-mono-toggle', [monoBox.checked]);
+});
+
+storageGet('sync', DEFAULT_SETTINGS).then((items) => {
+  if (items) speeds = normalizeSettings(items).playbackSpeeds;
+});
+
+queryTabs({ active: true, currentWindow: true }).then((tabs) => {
+  const tab = tabs && tabs[0];
+  if (!tab || !tab.url || !tab.url.startsWith('https://www.instagram.com/')) {
+    showMessage('This tab is not Instagram. Open instagram.com to control its videos from here.');
+    return;
+  }
+
+  tabId = tab.id;
+  refresh();
+  setInterval(refresh, POLL_INTERVAL_MS);
+});